@@ -0,0 +1,257 @@
+/**
+ * Achievement Gallery - ES6 Module
+ * Every achievement as a badge: unlocked ones with their level and unlock date,
+ * locked and in-progress ones with a progress bar towards the next tier, plus
+ * the most recent unlocks. Clicking a badge lists the history of each tier.
+ */
+
+const RECENT_UNLOCKS = 5;
+
+export class AchievementGalleryTool {
+    constructor(container) {
+        this.container = container;
+        this.expanded = null; // id of the badge showing its tier history
+        this.refreshHandler = () => this.refresh();
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.render();
+        this.bindEvents();
+        this.refresh();
+    }
+
+    get analytics() {
+        return window.usageAnalytics && window.usageAnalytics.achievements ? window.usageAnalytics : null;
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="gallery-container" style="padding: 10px; font-family: 'Quicksand', sans-serif; color: var(--text-primary);">
+                <div class="gallery-summary"></div>
+                <div class="gallery-recent"></div>
+                <div class="gallery-grid"></div>
+            </div>
+
+            <style>
+                .gallery-summary {
+                    font-size: 12px;
+                    font-weight: 700;
+                    margin-bottom: 6px;
+                }
+
+                .gallery-recent {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    margin-bottom: 8px;
+                }
+
+                .gallery-recent-item {
+                    font-size: 10px;
+                    font-weight: 600;
+                    padding: 2px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 10px;
+                    background: var(--translucent-bg);
+                }
+
+                .gallery-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+                    gap: 6px;
+                }
+
+                .gallery-badge {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 3px;
+                    padding: 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 10px;
+                    background: var(--translucent-bg);
+                    cursor: pointer;
+                }
+
+                .gallery-badge.locked .gallery-badge-icon {
+                    filter: grayscale(1);
+                    opacity: 0.4;
+                }
+
+                .gallery-badge.maxed { border-color: var(--udu-green); }
+
+                .gallery-badge-header {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                }
+
+                .gallery-badge-icon { font-size: 20px; }
+
+                .gallery-badge-name {
+                    flex: 1;
+                    font-size: 12px;
+                    font-weight: 700;
+                    min-width: 0;
+                }
+
+                .gallery-badge-level {
+                    font-size: 10px;
+                    font-weight: 700;
+                    color: var(--text-secondary);
+                }
+
+                .gallery-badge-detail {
+                    font-size: 10px;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                }
+
+                .gallery-progress {
+                    height: 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 6px;
+                    overflow: hidden;
+                }
+
+                .gallery-progress div {
+                    height: 100%;
+                    background: var(--oh-orange);
+                }
+
+                .gallery-tiers {
+                    list-style: none;
+                    margin: 2px 0 0;
+                    padding: 0;
+                    font-size: 10px;
+                    font-weight: 600;
+                }
+
+                .gallery-tiers li.locked { color: var(--text-secondary); }
+
+                .gallery-empty {
+                    font-size: 12px;
+                    color: var(--text-secondary);
+                    text-align: center;
+                    padding: 10px;
+                }
+
+                /* Responsive adjustments */
+                @media (max-height: 250px) {
+                    .gallery-container { padding: 4px !important; display: flex; gap: 8px; overflow-x: auto; }
+                    .gallery-summary, .gallery-recent { display: none; }
+                    .gallery-grid { display: flex; }
+                    .gallery-badge { width: 140px; flex-shrink: 0; }
+                }
+
+                @media (max-width: 250px) {
+                    .gallery-grid { grid-template-columns: 1fr; }
+                    .gallery-recent { display: none; }
+                }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        // Badges are re-rendered on refresh - one delegated listener covers them all
+        this.container.querySelector('.gallery-grid').addEventListener('click', (event) => {
+            const badge = event.target.closest('.gallery-badge');
+            if (!badge) return;
+            const id = badge.getAttribute('data-id');
+            this.expanded = this.expanded === id ? null : id;
+            this.refresh();
+        });
+
+        window.addEventListener('achievement-unlocked', this.refreshHandler);
+        window.addEventListener('analytics-imported', this.refreshHandler);
+    }
+
+    formatDate(iso) {
+        return iso ? new Date(iso).toLocaleDateString() : 'date not recorded';
+    }
+
+    refresh() {
+        const grid = this.container.querySelector('.gallery-grid');
+        if (!grid) return;
+
+        if (!this.analytics) {
+            grid.innerHTML = '<div class="gallery-empty">Usage analytics aren\'t available yet.</div>';
+            return;
+        }
+
+        const achievements = this.analytics.achievements.list();
+        const levels = achievements.reduce((sum, progress) => sum + progress.level, 0);
+        const maxLevels = achievements.reduce((sum, progress) => sum + progress.maxLevel, 0);
+        const unlocked = achievements.filter(progress => progress.level > 0).length;
+        this.container.querySelector('.gallery-summary').textContent =
+            `🏆 ${unlocked}/${achievements.length} unlocked · ${levels}/${maxLevels} levels · ⭐ ${this.analytics.achievements.xp()} XP`;
+
+        this.updateRecent(achievements);
+        grid.innerHTML = achievements.map(progress => this.renderBadge(progress)).join('');
+    }
+
+    updateRecent(achievements) {
+        const recent = achievements
+            .flatMap(progress => progress.tiers
+                .filter(tier => tier.unlockedAt)
+                .map(tier => ({ icon: progress.icon, title: tier.title, unlockedAt: tier.unlockedAt })))
+            .sort((a, b) => b.unlockedAt.localeCompare(a.unlockedAt))
+            .slice(0, RECENT_UNLOCKS);
+
+        this.container.querySelector('.gallery-recent').innerHTML = recent.map(item => `
+            <span class="gallery-recent-item" title="${this.escapeHtml(item.title)}">${this.escapeHtml(item.icon)} ${this.escapeHtml(item.title)} · ${this.formatDate(item.unlockedAt)}</span>
+        `).join('');
+    }
+
+    renderBadge(progress) {
+        const current = progress.level > 0 ? progress.tiers[progress.level - 1] : null;
+        const maxed = progress.next === null;
+        const classes = ['gallery-badge', current ? '' : 'locked', maxed ? 'maxed' : ''].join(' ');
+
+        const unlockedLine = current
+            ? `<div class="gallery-badge-detail">🏅 ${this.escapeHtml(current.title)} · ${this.formatDate(current.unlockedAt)}</div>`
+            : '';
+        const progressLine = maxed
+            ? '<div class="gallery-badge-detail">All levels unlocked</div>'
+            : `
+                <div class="gallery-badge-detail">${current ? 'Next: ' : '🔒 '}${this.escapeHtml(progress.description)} · ${progress.value}/${progress.next}</div>
+                <div class="gallery-progress"><div style="width: ${progress.percent}%;"></div></div>
+            `;
+
+        const history = this.expanded === progress.id ? `
+            <ul class="gallery-tiers">
+                ${progress.tiers.map((tier, index) => index < progress.level ? `
+                    <li>✓ ${this.escapeHtml(tier.title)} - ${this.formatDate(tier.unlockedAt)}</li>
+                ` : `
+                    <li class="locked">○ ${this.escapeHtml(tier.title)} - ${this.escapeHtml(tier.description)}</li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        return `
+            <div class="${classes}" data-id="${progress.id}" title="${this.escapeHtml(progress.name)}">
+                <div class="gallery-badge-header">
+                    <span class="gallery-badge-icon">${this.escapeHtml(progress.icon)}</span>
+                    <span class="gallery-badge-name">${this.escapeHtml(progress.name)}</span>
+                    <span class="gallery-badge-level">${progress.level}/${progress.maxLevel}</span>
+                </div>
+                ${unlockedLine}
+                ${progressLine}
+                ${history}
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        window.removeEventListener('achievement-unlocked', this.refreshHandler);
+        window.removeEventListener('analytics-imported', this.refreshHandler);
+        this.container.innerHTML = '';
+    }
+}
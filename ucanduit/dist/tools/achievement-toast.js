@@ -0,0 +1,143 @@
+/**
+ * Achievement Toast - ES6 Module
+ * In-app celebration for a newly unlocked achievement tier. Toasts queue up when
+ * several tiers unlock at once, each one pulses OssC's breathing circles, and
+ * clicking a toast opens the Achievements section.
+ */
+
+const TOAST_DURATION = 4000;
+
+class AchievementToast {
+    constructor() {
+        this.queue = [];
+        this.current = null; // { element, timeout }
+    }
+
+    /**
+     * @param {Object} progress - AchievementEngine.getProgress() of the achievement
+     * @param {number} tier - index of the tier just reached
+     */
+    show(progress, tier) {
+        this.queue.push({ progress, tier });
+        if (!this.current) {
+            this.showNext();
+        }
+    }
+
+    showNext() {
+        const next = this.queue.shift();
+        if (!next) {
+            this.current = null;
+            return;
+        }
+
+        this.ensureStyles();
+        const { progress, tier } = next;
+        const reached = progress.tiers[tier];
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <span class="achievement-toast-icon"></span>
+            <span class="achievement-toast-text">
+                <span class="achievement-toast-title"></span>
+                <span class="achievement-toast-detail"></span>
+            </span>
+        `;
+        toast.querySelector('.achievement-toast-icon').textContent = progress.icon;
+        toast.querySelector('.achievement-toast-title').textContent =
+            `🏆 ${reached.title}${progress.maxLevel > 1 ? ` · level ${tier + 1}/${progress.maxLevel}` : ''}`;
+        toast.querySelector('.achievement-toast-detail').textContent = reached.description;
+        toast.addEventListener('click', () => {
+            this.dismiss();
+            this.openGallery();
+        });
+        document.body.appendChild(toast);
+
+        this.current = {
+            element: toast,
+            timeout: setTimeout(() => this.dismiss(), TOAST_DURATION)
+        };
+
+        // Celebrate on OssC the way a finished timer does
+        if (window.achievementUnlocked) {
+            window.achievementUnlocked();
+        }
+    }
+
+    dismiss() {
+        if (!this.current) return;
+        clearTimeout(this.current.timeout);
+        this.current.element.remove();
+        this.showNext();
+    }
+
+    openGallery() {
+        const content = document.getElementById('achievements-content');
+        if (content && content.classList.contains('collapsed') && window.toggleSection) {
+            window.toggleSection('achievements');
+        }
+    }
+
+    ensureStyles() {
+        if (document.getElementById('achievement-toast-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'achievement-toast-styles';
+        style.textContent = `
+            .achievement-toast {
+                position: fixed;
+                bottom: 12px;
+                left: 50%;
+                transform: translateX(-50%);
+                z-index: 2900;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                max-width: calc(100% - 16px);
+                padding: 6px 12px;
+                background: var(--accent);
+                color: white;
+                border: 2px solid var(--not-black);
+                border-radius: 15px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+                cursor: pointer;
+                animation: achievement-toast-pop 0.4s ease-out;
+            }
+
+            .achievement-toast-icon { font-size: 22px; }
+
+            .achievement-toast-text {
+                display: flex;
+                flex-direction: column;
+                min-width: 0;
+            }
+
+            .achievement-toast-title {
+                font-size: 12px;
+                font-weight: 700;
+            }
+
+            .achievement-toast-detail {
+                font-size: 10px;
+                font-weight: 600;
+                opacity: 0.9;
+            }
+
+            @keyframes achievement-toast-pop {
+                0% { transform: translateX(-50%) scale(0.6); opacity: 0; }
+                70% { transform: translateX(-50%) scale(1.08); opacity: 1; }
+                100% { transform: translateX(-50%) scale(1); }
+            }
+
+            @media (max-height: 250px) {
+                .achievement-toast { bottom: 4px; padding: 3px 8px; }
+                .achievement-toast-detail { display: none; }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Shared instance - one queue for every unlock
+export const achievementToast = new AchievementToast();
@@ -0,0 +1,398 @@
+/**
+ * Achievements - ES6 Module
+ * Declarative achievement registry and the engine UsageAnalytics runs after every
+ * tracked event. An achievement reads a metric (or counts matching events) and
+ * unlocks a level at each tier threshold; unlock times are kept per tier.
+ * Users can add their own achievements over any metric.
+ */
+
+// Numbers achievements can be defined over - value(analytics) reads the current total
+export const ACHIEVEMENT_METRICS = {
+    timersStarted: {
+        label: 'Focus sessions started',
+        value: analytics => analytics.data.timerSessions.total
+    },
+    timersCompleted: {
+        label: 'Focus sessions completed',
+        value: analytics => analytics.data.timerSessions.completed
+    },
+    focusMinutes: {
+        label: 'Total focus minutes',
+        value: analytics => Math.round(analytics.data.timerSessions.totalMinutes)
+    },
+    longestSession: {
+        label: 'Longest session (minutes)',
+        value: analytics => analytics.data.timerSessions.longestSession
+    },
+    todayFocusMinutes: {
+        label: 'Focus minutes in one day',
+        value: analytics => {
+            const today = analytics.data.dailyStats[new Date().toDateString()] || {};
+            return Math.round(today.focusMinutes || 0);
+        }
+    },
+    todosCreated: {
+        label: 'Todos created',
+        value: analytics => analytics.data.todoMetrics.itemsCreated
+    },
+    todosCompleted: {
+        label: 'Todos completed',
+        value: analytics => analytics.data.todoMetrics.itemsCompleted
+    },
+    goalDays: {
+        label: 'Days meeting the daily goal',
+        value: analytics => Object.keys(analytics.data.dailyStats).filter(day => analytics.isQualifyingDay(day)).length
+    },
+    longestStreak: {
+        label: 'Longest goal streak (days)',
+        value: analytics => analytics.data.streakState.longest
+    },
+    osscClicks: {
+        label: 'OssC clicks',
+        value: analytics => analytics.data.osscMetrics.clicks
+    }
+};
+
+const isLateNight = ({ hour }) => hour >= 22 || hour <= 2;
+const isEarlyMorning = ({ hour }) => hour >= 5 && hour <= 6;
+
+// Built-in achievements. Each has a metric or events (+ when) to count, and tiers in
+// ascending order; {n} in a description is replaced by the tier's threshold.
+export const BUILT_IN_ACHIEVEMENTS = [
+    {
+        id: 'focusSessions',
+        name: 'Focus Sessions',
+        icon: '🎯',
+        metric: 'timersStarted',
+        description: 'Start {n} focus sessions',
+        tiers: [
+            { at: 1, title: 'First Timer', description: 'Start your first focus session' },
+            { at: 10, title: 'Getting Going' },
+            { at: 100, title: 'Power User' },
+            { at: 500, title: 'Focus Machine' }
+        ]
+    },
+    {
+        id: 'deepFocus',
+        name: 'Deep Focus',
+        icon: '🍅',
+        metric: 'longestSession',
+        description: 'Complete a {n}+ minute session',
+        tiers: [
+            { at: 5, title: 'Quick Focus' },
+            { at: 25, title: 'Pomodoro Pro' },
+            { at: 60, title: 'Deep Work' },
+            { at: 180, title: 'Marathoner' }
+        ]
+    },
+    {
+        id: 'focusHours',
+        name: 'Focus Hours',
+        icon: '⏳',
+        metric: 'focusMinutes',
+        description: 'Focus for {n} minutes in total',
+        tiers: [
+            { at: 600, title: 'Ten Hours In' },
+            { at: 3000, title: 'Fifty Hours In' },
+            { at: 6000, title: 'Centurion' }
+        ]
+    },
+    {
+        id: 'todoStarter',
+        name: 'Todo Starter',
+        icon: '📝',
+        metric: 'todosCreated',
+        description: 'Create {n} todos',
+        tiers: [
+            { at: 1, title: 'Task Starter', description: 'Create your first todo' },
+            { at: 50, title: 'Planner' },
+            { at: 250, title: 'List Legend' }
+        ]
+    },
+    {
+        id: 'taskMaster',
+        name: 'Task Master',
+        icon: '✅',
+        metric: 'todosCompleted',
+        description: 'Complete {n} todos',
+        tiers: [
+            { at: 10, title: 'Task Master' },
+            { at: 100, title: 'Closer' },
+            { at: 500, title: 'Finisher' }
+        ]
+    },
+    {
+        id: 'streak',
+        name: 'Goal Streak',
+        icon: '📅',
+        metric: 'longestStreak',
+        description: 'Meet your daily goal {n} days in a row',
+        tiers: [
+            { at: 7, title: 'Week Warrior' },
+            { at: 30, title: 'Consistency Champion' },
+            { at: 100, title: 'Unstoppable' }
+        ]
+    },
+    {
+        id: 'nightOwl',
+        name: 'Night Owl',
+        icon: '🦉',
+        events: ['timerComplete', 'todoCompleted'],
+        when: isLateNight,
+        description: 'Finish {n} sessions or todos between 10 PM and 3 AM',
+        tiers: [
+            { at: 1, title: 'Night Owl', description: 'Finish a session or todo late at night' },
+            { at: 10, title: 'Nocturnal' },
+            { at: 50, title: 'Creature of the Night' }
+        ]
+    },
+    {
+        id: 'earlyBird',
+        name: 'Early Bird',
+        icon: '🐦',
+        events: ['timerComplete', 'todoCompleted'],
+        when: isEarlyMorning,
+        description: 'Finish {n} sessions or todos between 5 and 7 AM',
+        tiers: [
+            { at: 1, title: 'Early Bird', description: 'Finish a session or todo early in the morning' },
+            { at: 10, title: 'Sunrise Regular' },
+            { at: 50, title: 'Dawn Patrol' }
+        ]
+    }
+];
+
+// The boolean achievements of schema v2 and the level they correspond to
+export const LEGACY_ACHIEVEMENTS = {
+    firstTimer: ['focusSessions', 1],
+    powerUser: ['focusSessions', 3],
+    productive5: ['deepFocus', 1],
+    productive25: ['deepFocus', 2],
+    productive60: ['deepFocus', 3],
+    marathoner: ['deepFocus', 4],
+    firstTodo: ['todoStarter', 1],
+    taskMaster: ['taskMaster', 1],
+    dedication: ['streak', 1],
+    consistent: ['streak', 2],
+    nightOwl: ['nightOwl', 1],
+    earlyBird: ['earlyBird', 1]
+};
+
+// Each unlocked tier is worth XP_PER_TIER times its level, so higher tiers count for more
+export const XP_PER_TIER = 100;
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+const MAX_CUSTOM_TIERS = ROMAN.length;
+
+/**
+ * Check a user-defined achievement, returns the cleaned definition
+ * @param {Object} definition - { id?, icon?, name, metric, tiers: number[] }
+ * @throws {Error} with a readable message when it can't be used
+ */
+export function normalizeCustomAchievement(definition) {
+    const name = String(definition.name || '').trim();
+    if (!name) {
+        throw new Error('Give the achievement a name');
+    }
+    if (!ACHIEVEMENT_METRICS[definition.metric]) {
+        throw new Error(`Unknown metric: ${definition.metric}`);
+    }
+
+    const tiers = [...new Set((definition.tiers || []).map(Number))]
+        .filter(value => isFinite(value) && value > 0)
+        .sort((a, b) => a - b);
+    if (tiers.length === 0) {
+        throw new Error('Add at least one target above 0');
+    }
+    if (tiers.length > MAX_CUSTOM_TIERS) {
+        throw new Error(`Use at most ${MAX_CUSTOM_TIERS} targets`);
+    }
+
+    return {
+        id: definition.id || 'custom-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+        icon: String(definition.icon || '').trim() || '⭐',
+        name,
+        metric: definition.metric,
+        tiers
+    };
+}
+
+// Custom definitions are stored as plain data - expand them to the built-in shape
+function expandCustom(custom) {
+    const label = ACHIEVEMENT_METRICS[custom.metric].label;
+    return {
+        id: custom.id,
+        icon: custom.icon,
+        name: custom.name,
+        metric: custom.metric,
+        custom: true,
+        description: `${label}: {n}`,
+        tiers: custom.tiers.map((at, index) => ({
+            at,
+            title: custom.tiers.length > 1 ? `${custom.name} ${ROMAN[index]}` : custom.name
+        }))
+    };
+}
+
+export class AchievementEngine {
+    /**
+     * @param {UsageAnalytics} analytics - data is read from analytics.data on every check,
+     *   so replacing the document (load, import) needs no re-wiring
+     * @param {Function} onUnlock - (progress, tierIndex) for each newly reached tier
+     */
+    constructor(analytics, onUnlock) {
+        this.analytics = analytics;
+        this.onUnlock = onUnlock;
+    }
+
+    get data() {
+        return this.analytics.data;
+    }
+
+    // Custom ones over a metric this version doesn't know (e.g. imported) are skipped
+    definitions() {
+        const customs = this.data.customAchievements.filter(custom => ACHIEVEMENT_METRICS[custom.metric]);
+        return [...BUILT_IN_ACHIEVEMENTS, ...customs.map(expandCustom)];
+    }
+
+    getDefinition(id) {
+        return this.definitions().find(definition => definition.id === id) || null;
+    }
+
+    // Stored state: { level, count, unlockedAt: [ISO string or null per reached tier] }
+    stateFor(id) {
+        if (!this.data.achievements[id]) {
+            this.data.achievements[id] = { level: 0, count: 0, unlockedAt: [] };
+        }
+        return this.data.achievements[id];
+    }
+
+    valueOf(definition) {
+        if (definition.events) {
+            return (this.data.achievements[definition.id] || {}).count || 0;
+        }
+        const metric = ACHIEVEMENT_METRICS[definition.metric];
+        return metric ? metric.value(this.analytics) || 0 : 0;
+    }
+
+    /**
+     * Count an event and unlock whatever is now reached. Called by UsageAnalytics
+     * after each tracked action; call with no event to re-check the metrics only.
+     * @param {string} [event] - 'timerStart', 'timerComplete', 'todoCreated', 'todoCompleted', ...
+     * @param {Object} [detail] - event data, hour defaults to the current hour
+     * @returns {Array} progress of the achievements that gained a level
+     */
+    check(event = null, detail = {}) {
+        const eventDetail = { hour: new Date().getHours(), ...detail };
+        const unlocked = [];
+
+        this.definitions().forEach(definition => {
+            if (event && definition.events && definition.events.includes(event) &&
+                (!definition.when || definition.when(eventDetail))) {
+                this.stateFor(definition.id).count++;
+            }
+
+            const level = this.levelUp(definition, new Date().toISOString());
+            if (level === null) return;
+
+            const progress = this.getProgress(definition.id);
+            unlocked.push(progress);
+            for (let tier = level; tier < progress.level; tier++) {
+                this.onUnlock(progress, tier);
+            }
+        });
+
+        return unlocked;
+    }
+
+    // Bring levels up to the stored history without announcing them - for history that
+    // arrives all at once (load, migration, import), so its tiers have no unlock time
+    seed() {
+        this.definitions().forEach(definition => this.levelUp(definition, null));
+    }
+
+    // Raise the stored level to the tiers the value reaches, returns the previous level
+    // or null when nothing changed
+    levelUp(definition, unlockedAt) {
+        const value = this.valueOf(definition);
+        const reached = definition.tiers.filter(tier => value >= tier.at).length;
+        const state = this.data.achievements[definition.id];
+        const level = state ? state.level : 0;
+        if (reached <= level) return null;
+
+        const target = this.stateFor(definition.id);
+        for (let tier = level; tier < reached; tier++) {
+            target.unlockedAt[tier] = unlockedAt;
+        }
+        target.level = reached;
+        return level;
+    }
+
+    /**
+     * Where an achievement stands
+     * @returns {{id, icon, name, description, custom, level, maxLevel, value, next, percent, tiers}}
+     *   next is the threshold of the next tier (null when maxed), percent the way there,
+     *   tiers lists { at, title, description, unlockedAt } with unlockedAt null while locked
+     */
+    getProgress(id) {
+        const definition = this.getDefinition(id);
+        if (!definition) return null;
+
+        const state = this.data.achievements[id] || { level: 0, unlockedAt: [] };
+        const level = Math.min(state.level || 0, definition.tiers.length);
+        const value = this.valueOf(definition);
+        const nextTier = definition.tiers[level] || null;
+        const describe = tier => (tier.description || definition.description).replace('{n}', tier.at);
+
+        return {
+            id,
+            icon: definition.icon,
+            name: definition.name,
+            description: describe(nextTier || definition.tiers[definition.tiers.length - 1]),
+            custom: !!definition.custom,
+            level,
+            maxLevel: definition.tiers.length,
+            value,
+            next: nextTier ? nextTier.at : null,
+            percent: nextTier ? Math.min(100, Math.floor((value / nextTier.at) * 100)) : 100,
+            tiers: definition.tiers.map((tier, index) => ({
+                at: tier.at,
+                title: tier.title,
+                description: describe(tier),
+                unlockedAt: index < level ? (state.unlockedAt || [])[index] || null : null
+            }))
+        };
+    }
+
+    list() {
+        return this.definitions().map(definition => this.getProgress(definition.id));
+    }
+
+    // Total tiers unlocked across every achievement
+    unlockedLevels() {
+        return this.list().reduce((sum, progress) => sum + progress.level, 0);
+    }
+
+    // Experience from unlocked built-in tiers - 100 for a first tier, 200 for a second, ...
+    // Custom achievements don't count, their targets are whatever the user typed
+    xp() {
+        return this.list()
+            .filter(progress => !progress.custom)
+            .reduce((sum, progress) => sum + XP_PER_TIER * progress.level * (progress.level + 1) / 2, 0);
+    }
+
+    addCustom(definition) {
+        const custom = normalizeCustomAchievement(definition);
+        this.data.customAchievements = this.data.customAchievements
+            .filter(existing => existing.id !== custom.id)
+            .concat(custom);
+        // Targets may have moved - recompute the level from scratch
+        delete this.data.achievements[custom.id];
+        this.check();
+        return this.getProgress(custom.id);
+    }
+
+    removeCustom(id) {
+        this.data.customAchievements = this.data.customAchievements.filter(custom => custom.id !== id);
+        delete this.data.achievements[id];
+    }
+}
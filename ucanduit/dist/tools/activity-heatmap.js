@@ -0,0 +1,304 @@
+/**
+ * Activity Heatmap - ES6 Module
+ * GitHub-style calendar of the last 365 days drawn on canvas, one cell per day
+ * coloured by a switchable dailyStats metric. Weeks run left to right, or top to
+ * bottom when the window is in the narrow vertical mode.
+ */
+
+const DAYS_SHOWN = 365;
+const CELL_GAP = 2;
+const NARROW_WIDTH = 250; // Matches the app's vertical-mode media query
+const LABEL_SIZE = 14;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const HEATMAP_METRICS = {
+    focusMinutes: {
+        label: 'Focus minutes',
+        color: ['--udu-green', '#4ecf9d'],
+        value: stats => Math.round(stats.focusMinutes || 0),
+        format: value => `${value} focus min`
+    },
+    timersCompleted: {
+        label: 'Timers completed',
+        color: ['--oh-orange', '#FF9B54'],
+        value: stats => stats.timersCompleted || 0,
+        format: value => `${value} timer${value === 1 ? '' : 's'} completed`
+    },
+    todosCompleted: {
+        label: 'Todos completed',
+        color: ['--candu-blue', '#3f88c5'],
+        value: stats => stats.todosCompleted || 0,
+        format: value => `${value} todo${value === 1 ? '' : 's'} completed`
+    }
+};
+
+export class ActivityHeatmap {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {Function} options.getDayStats - date -> dailyStats entry or null
+     * @param {string} [options.metric] - key of HEATMAP_METRICS
+     */
+    constructor(container, { getDayStats, metric = 'focusMinutes' }) {
+        this.container = container;
+        this.getDayStats = getDayStats;
+        this.metric = HEATMAP_METRICS[metric] ? metric : 'focusMinutes';
+        this.layout = null; // Cell geometry from the last draw, used for hover hit-testing
+
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="heatmap-header">
+                <select class="heatmap-metric">
+                    ${Object.entries(HEATMAP_METRICS).map(([key, metric]) => `
+                        <option value="${key}" ${key === this.metric ? 'selected' : ''}>${metric.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="heatmap-scroll">
+                <canvas class="heatmap-canvas"></canvas>
+            </div>
+            <div class="heatmap-details"></div>
+
+            <style>
+                .heatmap-header {
+                    display: flex;
+                    justify-content: flex-end;
+                    margin-bottom: 4px;
+                }
+
+                .heatmap-metric {
+                    font-family: 'Quicksand', sans-serif;
+                    font-size: 10px;
+                    font-weight: 600;
+                    color: var(--text-primary);
+                    background: var(--translucent-bg);
+                    border: 2px solid var(--text-primary);
+                    border-radius: 10px;
+                    padding: 1px 6px;
+                }
+
+                .heatmap-scroll {
+                    overflow-x: auto;
+                    overflow-y: hidden;
+                }
+
+                .heatmap-canvas {
+                    display: block;
+                }
+
+                .heatmap-details {
+                    font-size: 10px;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                    min-height: 14px;
+                    margin-top: 4px;
+                }
+
+                @media (max-height: 250px) {
+                    .heatmap-header { margin-bottom: 2px; }
+                    .heatmap-details { margin-top: 2px; }
+                }
+            </style>
+        `;
+
+        this.canvas = this.container.querySelector('.heatmap-canvas');
+        this.details = this.container.querySelector('.heatmap-details');
+    }
+
+    bindEvents() {
+        this.container.querySelector('.heatmap-metric').addEventListener('change', (e) => {
+            this.setMetric(e.target.value);
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const day = this.dayAt(e.clientX - rect.left, e.clientY - rect.top);
+            this.showDetails(day);
+        });
+
+        this.canvas.addEventListener('mouseleave', () => this.showDetails(null));
+    }
+
+    setMetric(metric) {
+        if (!HEATMAP_METRICS[metric]) return;
+        this.metric = metric;
+        this.draw();
+    }
+
+    // First cell is the Sunday on or before the day 364 days ago, so columns are whole weeks
+    getDays() {
+        const today = new Date();
+        today.setHours(12, 0, 0, 0);
+
+        const first = new Date(today);
+        first.setDate(today.getDate() - (DAYS_SHOWN - 1));
+        first.setDate(first.getDate() - first.getDay());
+
+        const days = [];
+        for (const date = new Date(first); date <= today; date.setDate(date.getDate() + 1)) {
+            const stats = this.getDayStats(new Date(date));
+            days.push({
+                date: new Date(date),
+                stats,
+                value: stats ? HEATMAP_METRICS[this.metric].value(stats) : 0,
+                inRange: Math.round((today - date) / 86400000) < DAYS_SHOWN
+            });
+        }
+        return days;
+    }
+
+    getColors() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = ([name, fallback]) => styles.getPropertyValue(name).trim() || fallback;
+        return {
+            metric: read(HEATMAP_METRICS[this.metric].color),
+            empty: read(['--text-secondary', '#7f8c8d']),
+            text: read(['--text-secondary', '#7f8c8d'])
+        };
+    }
+
+    // 0 = no activity, 1-4 = quartiles of the busiest day
+    getLevel(value, max) {
+        if (value <= 0 || max <= 0) return 0;
+        return Math.min(4, Math.ceil((value / max) * 4));
+    }
+
+    computeLayout(weeks) {
+        const available = this.container.clientWidth;
+        const vertical = available > 0 && available < NARROW_WIDTH;
+
+        if (vertical) {
+            // Weeks become rows, weekdays columns
+            const cell = Math.max(6, Math.min(10, Math.floor((available - LABEL_SIZE * 2) / 7) - CELL_GAP));
+            return {
+                vertical,
+                cell,
+                offsetX: LABEL_SIZE * 2,
+                offsetY: 0,
+                width: LABEL_SIZE * 2 + 7 * (cell + CELL_GAP),
+                height: weeks * (cell + CELL_GAP)
+            };
+        }
+
+        const cell = Math.max(6, Math.min(12, Math.floor((available - LABEL_SIZE) / weeks) - CELL_GAP));
+        return {
+            vertical,
+            cell,
+            offsetX: LABEL_SIZE,
+            offsetY: LABEL_SIZE,
+            width: LABEL_SIZE + weeks * (cell + CELL_GAP),
+            height: LABEL_SIZE + 7 * (cell + CELL_GAP)
+        };
+    }
+
+    cellPosition(index) {
+        const { vertical, cell, offsetX, offsetY } = this.layout;
+        const week = Math.floor(index / 7);
+        const weekday = index % 7;
+        const step = cell + CELL_GAP;
+        return vertical
+            ? { x: offsetX + weekday * step, y: offsetY + week * step }
+            : { x: offsetX + week * step, y: offsetY + weekday * step };
+    }
+
+    draw() {
+        const days = this.getDays();
+        const weeks = Math.ceil(days.length / 7);
+        this.layout = this.computeLayout(weeks);
+        this.days = days;
+
+        const { width, height, cell, vertical } = this.layout;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const colors = this.getColors();
+        const max = Math.max(0, ...days.map(day => day.value));
+        const alphas = [0.12, 0.35, 0.55, 0.8, 1];
+
+        days.forEach((day, index) => {
+            if (!day.inRange) return;
+            const { x, y } = this.cellPosition(index);
+            const level = this.getLevel(day.value, max);
+            ctx.globalAlpha = alphas[level];
+            ctx.fillStyle = level === 0 ? colors.empty : colors.metric;
+            ctx.fillRect(x, y, cell, cell);
+        });
+        ctx.globalAlpha = 1;
+
+        // Month labels at the first week of each month
+        ctx.fillStyle = colors.text;
+        ctx.font = "600 9px 'Quicksand', sans-serif";
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        let lastMonth = null;
+        for (let index = 0; index < days.length; index += 7) {
+            const month = days[index].date.getMonth();
+            if (month === lastMonth) continue;
+            lastMonth = month;
+            const { x, y } = this.cellPosition(index);
+            if (vertical) {
+                ctx.fillText(MONTH_NAMES[month], 0, y);
+            } else {
+                ctx.fillText(MONTH_NAMES[month], x, 2);
+            }
+        }
+
+        this.showDetails(null);
+    }
+
+    dayAt(x, y) {
+        if (!this.layout || !this.days) return null;
+        const { vertical, cell, offsetX, offsetY } = this.layout;
+        const step = cell + CELL_GAP;
+        const column = Math.floor((x - offsetX) / step);
+        const row = Math.floor((y - offsetY) / step);
+        if (column < 0 || row < 0) return null;
+
+        const [week, weekday] = vertical ? [row, column] : [column, row];
+        if (weekday > 6) return null;
+
+        const day = this.days[week * 7 + weekday];
+        return day && day.inRange ? day : null;
+    }
+
+    // Hovered day's numbers, or the yearly total when nothing is hovered
+    showDetails(day) {
+        if (!this.details || !this.days) return;
+        const metric = HEATMAP_METRICS[this.metric];
+
+        if (!day) {
+            const total = this.days.filter(d => d.inRange).reduce((sum, d) => sum + d.value, 0);
+            const activeDays = this.days.filter(d => d.inRange && d.value > 0).length;
+            this.details.textContent = `${metric.format(total)} in the last year · ${activeDays} active days`;
+            return;
+        }
+
+        const stats = day.stats || {};
+        const date = day.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        this.details.textContent = [
+            date,
+            HEATMAP_METRICS.focusMinutes.format(HEATMAP_METRICS.focusMinutes.value(stats)),
+            HEATMAP_METRICS.timersCompleted.format(HEATMAP_METRICS.timersCompleted.value(stats)),
+            `${stats.todosCompleted || 0}/${stats.todosCreated || 0} todos done`
+        ].join(' · ');
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+        this.layout = null;
+        this.days = null;
+    }
+}
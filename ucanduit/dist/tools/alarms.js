@@ -0,0 +1,627 @@
+/**
+ * Alarms - ES6 Module
+ * Completion alarm library: synthesized tones, a chime pattern and audio files
+ * from public/audio. Each alarm has its own volume and repeat-until-dismissed
+ * option; a ringing alarm can be snoozed or dismissed, and focus noise / ambient
+ * sounds are ducked while it rings.
+ */
+
+import { storage } from './storage.js';
+
+const ALARMS_KEY = 'alarms';
+const DUCK_LEVEL = 0.2; // Background sound level while an alarm rings
+const REPEAT_GAP_MS = 1200; // Pause between repeats of a synthesized alarm
+const MAX_RING_MS = 5 * 60 * 1000; // Repeating alarms give up after 5 minutes
+const BANNER_LINGER_MS = 10000; // Keep snooze available briefly after a one-shot alarm
+export const SNOOZE_MINUTES = 5;
+
+// Synthesized tones - duration in seconds of one play-through
+export const SYNTH_TONES = {
+    beep: { name: 'Beep', duration: 0.5 },
+    chime: { name: 'Chime', duration: 1 },
+    bell: { name: 'Bell', duration: 2 },
+    digital: { name: 'Digital', duration: 0.8 },
+    soft: { name: 'Soft pulse', duration: 1.4 },
+    rising: { name: 'Rising', duration: 1 }
+};
+
+export const DEFAULT_ALARM_SETTINGS = {
+    defaultAlarmId: 'beep',
+    alarms: Object.entries(SYNTH_TONES).map(([tone, config]) => ({
+        id: tone,
+        name: config.name,
+        source: `synth:${tone}`,
+        volume: 60,
+        repeat: false
+    }))
+};
+
+function cloneDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_ALARM_SETTINGS));
+}
+
+export function normalizeAlarm(alarm) {
+    const source = typeof alarm.source === 'string' ? alarm.source : '';
+    const validSource = source.startsWith('file:') ||
+        (source.startsWith('synth:') && SYNTH_TONES[source.slice(6)]);
+    return {
+        id: alarm.id || Date.now().toString(36) + Math.random().toString(36).substr(2),
+        name: String(alarm.name || 'Alarm').trim() || 'Alarm',
+        source: validSource ? source : 'synth:beep',
+        volume: Math.max(0, Math.min(100, parseInt(alarm.volume) || 0)),
+        repeat: !!alarm.repeat
+    };
+}
+
+function normalizeSettings(settings) {
+    const alarms = Array.isArray(settings.alarms) && settings.alarms.length > 0
+        ? settings.alarms.map(normalizeAlarm)
+        : cloneDefaults().alarms;
+    const defaultAlarmId = alarms.some(a => a.id === settings.defaultAlarmId)
+        ? settings.defaultAlarmId
+        : alarms[0].id;
+    return { defaultAlarmId, alarms };
+}
+
+export async function loadAlarmSettings() {
+    const saved = await storage.get(ALARMS_KEY);
+    return saved ? normalizeSettings(saved) : cloneDefaults();
+}
+
+export async function saveAlarmSettings(settings) {
+    const normalized = normalizeSettings(settings);
+    await storage.set(ALARMS_KEY, normalized, { debounce: 0 });
+
+    alarmPlayer.settings = normalized;
+    return normalized;
+}
+
+// Every audio file under public/audio, via the same Tauri commands the ambient tool uses
+export async function listAlarmAudioFiles() {
+    if (!window.__TAURI__ || !window.__TAURI__.core) return [];
+
+    try {
+        const { core } = window.__TAURI__;
+        const directories = await core.invoke('scan_audio_directories');
+        const listings = await Promise.all(directories.map(async (dir) => {
+            const result = await core.invoke('scan_audio_directory', { directoryPath: dir.path });
+            return result.files.map(file => ({ directory: dir.name, name: file.name, path: file.path }));
+        }));
+        return listings.flat();
+    } catch (error) {
+        console.warn('Could not scan audio directories for alarms:', error);
+        return [];
+    }
+}
+
+// Lower (or restore) focus noise and ambient loops while an alarm rings
+function setBackgroundDucked(ducked) {
+    [window.childFocusNoise, window.childAmbientNoise].forEach(tool => {
+        if (tool && typeof tool.setDucked === 'function') {
+            tool.setDucked(ducked, DUCK_LEVEL);
+        }
+    });
+}
+
+class AlarmPlayer {
+    constructor() {
+        this.settings = null;
+        this.audioContext = null;
+        this.current = null; // { alarm, label, audio, gainNode, repeatTimeout, stopTimeout }
+        this.lastRing = null; // { alarm, label } - still snoozable after the banner closes
+        this.snoozeTimeout = null;
+    }
+
+    async loadSettings() {
+        if (!this.settings) {
+            this.settings = await loadAlarmSettings();
+        }
+        return this.settings;
+    }
+
+    getAlarm(alarmId) {
+        const alarms = this.settings.alarms;
+        return alarms.find(a => a.id === alarmId) ||
+            alarms.find(a => a.id === this.settings.defaultAlarmId) ||
+            alarms[0];
+    }
+
+    get isRinging() {
+        return this.current !== null;
+    }
+
+    // Ring an alarm from the library - null/undefined uses the default alarm, 'none' is silent.
+    // actions: extra banner buttons [{ title, onSelect }] shown before snooze / dismiss
+    async ring(alarmId, { label = 'Time is up', actions = [] } = {}) {
+        if (alarmId === 'none') return;
+        await this.loadSettings();
+
+        this.stopSound();
+        this.clearSnooze();
+        const alarm = this.getAlarm(alarmId || this.settings.defaultAlarmId);
+        this.current = { alarm, label, audio: null, gainNode: null, repeatTimeout: null, stopTimeout: null };
+        this.lastRing = { alarm, label };
+
+        setBackgroundDucked(true);
+        this.showBanner(label, actions);
+        this.playAlarmSound(alarm, () => this.handlePlaythroughEnded());
+
+        if (alarm.repeat) {
+            this.current.stopTimeout = setTimeout(() => this.dismiss(), MAX_RING_MS);
+        }
+    }
+
+    handlePlaythroughEnded() {
+        if (!this.current) return;
+
+        if (this.current.alarm.repeat) {
+            this.current.repeatTimeout = setTimeout(() => {
+                if (this.current) {
+                    this.playAlarmSound(this.current.alarm, () => this.handlePlaythroughEnded());
+                }
+            }, REPEAT_GAP_MS);
+        } else {
+            // One-shot alarm: sound is over, keep the banner a little so snooze stays possible
+            setBackgroundDucked(false);
+            this.current.stopTimeout = setTimeout(() => this.dismiss(), BANNER_LINGER_MS);
+        }
+    }
+
+    // Play one alarm once without the banner or ducking (settings preview)
+    async preview(alarm) {
+        this.playAlarmSound(normalizeAlarm(alarm), () => {});
+    }
+
+    playAlarmSound(alarm, onEnded) {
+        const volume = alarm.volume / 100;
+
+        if (alarm.source.startsWith('file:')) {
+            this.playFile(alarm.source.slice(5), volume, onEnded);
+        } else {
+            this.playSynth(alarm.source.slice(6), volume, onEnded);
+        }
+    }
+
+    playFile(path, volume, onEnded) {
+        try {
+            const audio = new Audio();
+            audio.src = window.__TAURI__ && window.__TAURI__.core
+                ? window.__TAURI__.core.convertFileSrc(path)
+                : path;
+            audio.volume = volume;
+            audio.addEventListener('ended', onEnded);
+            audio.play().catch(error => {
+                console.log('Could not play alarm file:', error);
+                onEnded();
+            });
+            if (this.current) {
+                this.current.audio = audio;
+            }
+        } catch (error) {
+            console.log('Could not play alarm file:', error);
+            onEnded();
+        }
+    }
+
+    playSynth(tone, volume, onEnded) {
+        const config = SYNTH_TONES[tone] || SYNTH_TONES.beep;
+
+        try {
+            if (!this.audioContext || this.audioContext.state === 'closed') {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            const ctx = this.audioContext;
+            if (ctx.state === 'suspended') {
+                ctx.resume();
+            }
+
+            const output = ctx.createGain();
+            output.gain.setValueAtTime(volume * 0.5, ctx.currentTime);
+            output.connect(ctx.destination);
+            if (this.current) {
+                this.current.gainNode = output;
+            }
+
+            const now = ctx.currentTime;
+            if (tone === 'chime') {
+                // Three rising notes (C6, E6, G6)
+                [1046.5, 1318.5, 1568].forEach((frequency, index) => {
+                    this.playNote(ctx, output, { frequency, startAt: now + index * 0.18, length: 0.6, peak: 0.8 });
+                });
+            } else if (tone === 'bell') {
+                // Struck bell: fundamental plus an inharmonic overtone with a long decay
+                this.playNote(ctx, output, { frequency: 660, startAt: now, length: 2, peak: 1, attack: 0.005 });
+                this.playNote(ctx, output, { frequency: 1650, startAt: now, length: 2, peak: 0.4, attack: 0.005 });
+            } else if (tone === 'digital') {
+                [0, 0.2, 0.4].forEach(offset => {
+                    this.playNote(ctx, output, { frequency: 2000, startAt: now + offset, length: 0.12, peak: 0.5, type: 'square' });
+                });
+            } else if (tone === 'soft') {
+                [0, 0.7].forEach(offset => {
+                    this.playNote(ctx, output, { frequency: 440, startAt: now + offset, length: 0.7, peak: 0.9, attack: 0.2 });
+                });
+            } else if (tone === 'rising') {
+                const oscillator = ctx.createOscillator();
+                const gainNode = ctx.createGain();
+                oscillator.frequency.setValueAtTime(400, now);
+                oscillator.frequency.exponentialRampToValueAtTime(1200, now + 0.9);
+                gainNode.gain.setValueAtTime(0, now);
+                gainNode.gain.linearRampToValueAtTime(0.8, now + 0.05);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, now + 1);
+                oscillator.connect(gainNode);
+                gainNode.connect(output);
+                oscillator.start(now);
+                oscillator.stop(now + 1);
+            } else {
+                // Classic beep (800/600 Hz warble)
+                const oscillator = ctx.createOscillator();
+                const gainNode = ctx.createGain();
+                oscillator.frequency.setValueAtTime(800, now);
+                oscillator.frequency.setValueAtTime(600, now + 0.1);
+                oscillator.frequency.setValueAtTime(800, now + 0.2);
+                gainNode.gain.setValueAtTime(0, now);
+                gainNode.gain.linearRampToValueAtTime(1, now + 0.01);
+                gainNode.gain.exponentialRampToValueAtTime(0.03, now + 0.5);
+                oscillator.connect(gainNode);
+                gainNode.connect(output);
+                oscillator.start(now);
+                oscillator.stop(now + 0.5);
+            }
+
+            setTimeout(onEnded, config.duration * 1000);
+        } catch (error) {
+            console.log('Could not play alarm sound:', error);
+            setTimeout(onEnded, config.duration * 1000);
+        }
+    }
+
+    playNote(ctx, output, { frequency, startAt, length, peak, attack = 0.01, type = 'sine' }) {
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, startAt);
+        oscillator.connect(gainNode);
+        gainNode.connect(output);
+
+        gainNode.gain.setValueAtTime(0, startAt);
+        gainNode.gain.linearRampToValueAtTime(peak, startAt + attack);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, startAt + length);
+
+        oscillator.start(startAt);
+        oscillator.stop(startAt + length);
+    }
+
+    stopSound() {
+        if (!this.current) return;
+
+        if (this.current.repeatTimeout) clearTimeout(this.current.repeatTimeout);
+        if (this.current.stopTimeout) clearTimeout(this.current.stopTimeout);
+        if (this.current.audio) {
+            this.current.audio.pause();
+            this.current.audio = null;
+        }
+        if (this.current.gainNode && this.audioContext) {
+            // Silence any notes still scheduled on this play-through
+            this.current.gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+        }
+        this.current = null;
+    }
+
+    dismiss() {
+        this.stopSound();
+        setBackgroundDucked(false);
+        this.hideBanner();
+    }
+
+    snooze(minutes = SNOOZE_MINUTES) {
+        const ring = this.current || this.lastRing;
+        if (!ring) return;
+
+        const { alarm, label } = ring;
+        this.dismiss();
+        this.clearSnooze();
+        this.snoozeTimeout = setTimeout(() => {
+            this.snoozeTimeout = null;
+            this.ring(alarm.id, { label });
+        }, minutes * 60 * 1000);
+
+        if (window.updateStatus) {
+            window.updateStatus(`Snoozed ${minutes} min`, 'accent', 2000);
+        }
+    }
+
+    clearSnooze() {
+        if (this.snoozeTimeout) {
+            clearTimeout(this.snoozeTimeout);
+            this.snoozeTimeout = null;
+        }
+    }
+
+    showBanner(label, actions = []) {
+        this.ensureBannerStyles();
+        this.hideBanner();
+
+        const banner = document.createElement('div');
+        banner.className = 'alarm-banner';
+        banner.id = 'alarm-banner';
+        banner.innerHTML = `
+            <span class="alarm-banner-label"></span>
+            ${actions.map((action, index) => `<button class="alarm-action-btn" data-index="${index}"></button>`).join('')}
+            <button class="alarm-snooze-btn">Snooze ${SNOOZE_MINUTES} min</button>
+            <button class="alarm-dismiss-btn">Dismiss</button>
+        `;
+        banner.querySelector('.alarm-banner-label').textContent = `⏰ ${label}`;
+        banner.querySelectorAll('.alarm-action-btn').forEach(button => {
+            const action = actions[parseInt(button.getAttribute('data-index'))];
+            button.textContent = action.title;
+            button.addEventListener('click', () => {
+                this.dismiss();
+                action.onSelect();
+            });
+        });
+        banner.querySelector('.alarm-snooze-btn').addEventListener('click', () => this.snooze());
+        banner.querySelector('.alarm-dismiss-btn').addEventListener('click', () => this.dismiss());
+        document.body.appendChild(banner);
+    }
+
+    hideBanner() {
+        const banner = document.getElementById('alarm-banner');
+        if (banner) banner.remove();
+    }
+
+    ensureBannerStyles() {
+        if (document.getElementById('alarm-banner-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'alarm-banner-styles';
+        style.textContent = `
+            .alarm-banner {
+                position: fixed;
+                top: 8px;
+                left: 50%;
+                transform: translateX(-50%);
+                z-index: 3000;
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                flex-wrap: wrap;
+                justify-content: center;
+                max-width: calc(100% - 16px);
+                padding: 6px 10px;
+                background: var(--warning);
+                color: white;
+                border: 2px solid var(--not-black);
+                border-radius: 15px;
+                font-weight: 700;
+                font-size: 12px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            }
+
+            .alarm-banner button {
+                padding: 3px 10px;
+                margin: 0;
+                font-size: 11px;
+                border-width: 2px;
+                color: white;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Shared instance - every tool rings through the same player
+export const alarmPlayer = new AlarmPlayer();
+
+/**
+ * Settings editor for the alarm library - rendered into a settings panel
+ */
+export class AlarmSettingsEditor {
+    constructor(container) {
+        this.container = container;
+        this.settings = null;
+        this.audioFiles = [];
+
+        this.initialize();
+    }
+
+    async initialize() {
+        this.settings = JSON.parse(JSON.stringify(await alarmPlayer.loadSettings()));
+        this.render();
+        this.bindEvents();
+
+        // File list can take a moment - re-render once it arrives
+        this.audioFiles = await listAlarmAudioFiles();
+        if (this.audioFiles.length > 0 && this.container.isConnected) {
+            this.collectInputs();
+            this.render();
+            this.bindEvents();
+        }
+    }
+
+    renderSourceOptions(selected) {
+        const synthOptions = Object.entries(SYNTH_TONES).map(([tone, config]) => `
+            <option value="synth:${tone}" ${`synth:${tone}` === selected ? 'selected' : ''}>🎹 ${config.name}</option>
+        `).join('');
+
+        const fileOptions = this.audioFiles.map(file => `
+            <option value="file:${this.escapeHtml(file.path)}" ${`file:${file.path}` === selected ? 'selected' : ''}>🎵 ${this.escapeHtml(file.directory)} / ${this.escapeHtml(file.name)}</option>
+        `).join('');
+
+        // Keep a saved file selectable even before the scan finishes
+        const unknownFile = selected.startsWith('file:') && !this.audioFiles.some(f => `file:${f.path}` === selected)
+            ? `<option value="${this.escapeHtml(selected)}" selected>🎵 ${this.escapeHtml(selected.split(/[\\/]/).pop())}</option>`
+            : '';
+
+        return synthOptions + fileOptions + unknownFile;
+    }
+
+    render() {
+        const defaultOptions = this.settings.alarms.map(alarm => `
+            <option value="${alarm.id}" ${alarm.id === this.settings.defaultAlarmId ? 'selected' : ''}>${this.escapeHtml(alarm.name)}</option>
+        `).join('');
+
+        const rows = this.settings.alarms.map((alarm, index) => `
+            <div class="alarm-row" data-index="${index}">
+                <div class="alarm-row-main">
+                    <input type="text" class="alarm-name" value="${this.escapeHtml(alarm.name)}" placeholder="Name">
+                    <button class="alarm-test" title="Test alarm">▶</button>
+                    <button class="alarm-delete" title="Delete alarm" ${this.settings.alarms.length <= 1 ? 'disabled' : ''}>✕</button>
+                </div>
+                <select class="alarm-source">${this.renderSourceOptions(alarm.source)}</select>
+                <div class="alarm-row-options">
+                    <label>Vol <input type="range" class="alarm-volume" min="0" max="100" value="${alarm.volume}"></label>
+                    <label><input type="checkbox" class="alarm-repeat" ${alarm.repeat ? 'checked' : ''}> Repeat until dismissed</label>
+                </div>
+            </div>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="alarm-editor">
+                <label class="alarm-default">Default alarm <select class="alarm-default-select">${defaultOptions}</select></label>
+                ${rows}
+                <div class="alarm-actions">
+                    <button class="alarm-add">+ Add</button>
+                    <button class="alarm-save">Save</button>
+                </div>
+            </div>
+
+            <style>
+                .alarm-editor input[type="text"], .alarm-editor select {
+                    padding: 4px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 8px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 12px;
+                    min-width: 0;
+                }
+
+                .alarm-default {
+                    display: flex;
+                    gap: 6px;
+                    align-items: center;
+                    font-size: 12px;
+                    font-weight: 700;
+                    margin-bottom: 10px;
+                }
+
+                .alarm-row {
+                    border: 2px solid var(--text-primary);
+                    border-radius: 12px;
+                    padding: 6px;
+                    margin-bottom: 6px;
+                }
+
+                .alarm-row-main {
+                    display: flex;
+                    gap: 4px;
+                    align-items: center;
+                    margin-bottom: 4px;
+                }
+
+                .alarm-name { flex: 1; }
+                .alarm-source { width: 100%; }
+
+                .alarm-row-options {
+                    display: flex;
+                    gap: 8px;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    font-size: 11px;
+                    font-weight: 600;
+                    margin-top: 4px;
+                }
+
+                .alarm-volume { width: 90px; vertical-align: middle; }
+
+                .alarm-editor button {
+                    padding: 3px 8px;
+                    font-size: 11px;
+                    margin: 0;
+                }
+
+                .alarm-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 6px;
+                    margin-top: 10px;
+                }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('.alarm-row').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'));
+
+            row.querySelector('.alarm-test').addEventListener('click', () => {
+                this.collectInputs();
+                alarmPlayer.preview(this.settings.alarms[index]);
+            });
+
+            row.querySelector('.alarm-delete').addEventListener('click', () => {
+                this.collectInputs();
+                if (this.settings.alarms.length <= 1) return;
+                this.settings.alarms.splice(index, 1);
+                this.render();
+                this.bindEvents();
+            });
+        });
+
+        this.container.querySelector('.alarm-add').addEventListener('click', () => {
+            this.collectInputs();
+            const firstFile = this.audioFiles[0];
+            this.settings.alarms.push(normalizeAlarm({
+                name: firstFile ? firstFile.name.replace(/\.[^.]+$/, '') : 'New alarm',
+                source: firstFile ? `file:${firstFile.path}` : 'synth:chime',
+                volume: 60,
+                repeat: false
+            }));
+            this.render();
+            this.bindEvents();
+        });
+
+        this.container.querySelector('.alarm-save').addEventListener('click', async () => {
+            this.collectInputs();
+            this.settings = await saveAlarmSettings(this.settings);
+            this.render();
+            this.bindEvents();
+
+            if (window.updateStatus) {
+                window.updateStatus('Alarms saved', 'success', 2000);
+            }
+        });
+    }
+
+    // Copy edited input values back into the settings object
+    collectInputs() {
+        this.container.querySelectorAll('.alarm-row').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'));
+            this.settings.alarms[index] = normalizeAlarm({
+                id: this.settings.alarms[index].id,
+                name: row.querySelector('.alarm-name').value,
+                source: row.querySelector('.alarm-source').value,
+                volume: row.querySelector('.alarm-volume').value,
+                repeat: row.querySelector('.alarm-repeat').checked
+            });
+        });
+
+        const defaultSelect = this.container.querySelector('.alarm-default-select');
+        if (defaultSelect) {
+            this.settings.defaultAlarmId = defaultSelect.value;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * Analytics Export / Import - ES6 Module
+ * Settings panel that saves the analytics document as JSON, dailyStats and the
+ * session history as CSV for spreadsheets, and loads a JSON export back in
+ * (merged with or replacing the local history)
+ */
+
+import { toCsv, saveTextFile } from './file-export.js';
+
+const DAILY_COLUMNS = [
+    'timers', 'timersCompleted', 'focusMinutes', 'breaks', 'pauses', 'pausedMinutes',
+    'abandoned', 'abandonedMinutes', 'durationChanges', 'durationChangedFromMinutes', 'durationChangedToMinutes',
+    'todosCreated', 'todosCompleted'
+];
+
+const SESSION_COLUMNS = [
+    'id', 'mode', 'status', 'sessions', 'startedAt', 'endedAt', 'intent', 'todoText', 'plannedMinutes',
+    'actualMinutes', 'pausedMinutes', 'interruptions', 'abandonReason', 'sounds', 'rating', 'note'
+];
+
+// Local calendar date as YYYY-MM-DD - spreadsheets sort these correctly
+function isoDay(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function dailyStatsRows(data) {
+    const days = Object.keys(data.dailyStats)
+        .map(key => ({ key, date: new Date(key) }))
+        .sort((a, b) => a.date - b.date);
+
+    // Counters added by newer versions still get a column
+    const extraColumns = [...new Set(days.flatMap(day => Object.keys(data.dailyStats[day.key])))]
+        .filter(column => column !== 'runtime' && !DAILY_COLUMNS.includes(column));
+
+    const header = ['date', 'runtimeMinutes', ...DAILY_COLUMNS, ...extraColumns];
+    const rows = days.map(({ key, date }) => {
+        const stats = data.dailyStats[key];
+        return [
+            isoDay(date),
+            Math.round((stats.runtime || 0) / 60000),
+            ...[...DAILY_COLUMNS, ...extraColumns].map(column => stats[column] || 0)
+        ];
+    });
+    return [header, ...rows];
+}
+
+// Compacted sessions only have per-day totals left - they come first, one 'archived' row per day
+function sessionRows(data) {
+    const archived = Object.entries(data.sessionArchive || {})
+        .map(([key, totals]) => ({ date: new Date(key), totals }))
+        .sort((a, b) => a.date - b.date)
+        .map(({ date, totals }) => SESSION_COLUMNS.map(column => {
+            if (column === 'status') return 'archived';
+            if (column === 'startedAt') return isoDay(date);
+            return column === 'sessions' || column.endsWith('Minutes') || column === 'interruptions'
+                ? totals[column] || 0
+                : '';
+        }));
+
+    const rows = (data.sessionLog || []).map(session => SESSION_COLUMNS.map(column => {
+        if (column === 'sessions') return 1;
+        if (column === 'sounds') return (session.sounds || []).join('; ');
+        return session[column];
+    }));
+    return [SESSION_COLUMNS, ...archived, ...rows];
+}
+
+export class AnalyticsTransferPanel {
+    constructor(container) {
+        this.container = container;
+        this.pendingImport = null; // Parsed file waiting for the replace confirmation
+
+        this.render();
+        this.bindEvents();
+    }
+
+    get analytics() {
+        return window.usageAnalytics || null;
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="transfer-panel">
+                <div class="transfer-group">
+                    <div class="transfer-label">Export</div>
+                    <div class="transfer-buttons">
+                        <button class="transfer-export" data-export="json">Full data (JSON)</button>
+                        <button class="transfer-export" data-export="daily">Daily stats (CSV)</button>
+                        <button class="transfer-export" data-export="sessions" title="Older sessions are summarized as one row per day">Sessions (CSV)</button>
+                    </div>
+                </div>
+
+                <div class="transfer-group">
+                    <div class="transfer-label">Import JSON export</div>
+                    <input type="file" class="transfer-file" accept=".json,application/json">
+                    <div class="transfer-buttons">
+                        <select class="transfer-mode">
+                            <option value="merge">Merge with current data</option>
+                            <option value="replace">Replace current data</option>
+                        </select>
+                        <button class="transfer-import">Import</button>
+                    </div>
+                </div>
+
+                <div class="transfer-status"></div>
+            </div>
+
+            <style>
+                .transfer-group {
+                    border: 2px solid var(--text-primary);
+                    border-radius: 12px;
+                    padding: 8px;
+                    margin-bottom: 8px;
+                }
+
+                .transfer-label {
+                    font-size: 12px;
+                    font-weight: 700;
+                    margin-bottom: 6px;
+                }
+
+                .transfer-buttons {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                    align-items: center;
+                }
+
+                .transfer-panel button {
+                    padding: 3px 8px;
+                    font-size: 11px;
+                    margin: 0;
+                }
+
+                .transfer-file {
+                    display: block;
+                    width: 100%;
+                    font-family: 'Quicksand', sans-serif;
+                    font-size: 11px;
+                    margin-bottom: 6px;
+                }
+
+                .transfer-mode {
+                    padding: 3px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 8px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 11px;
+                }
+
+                .transfer-status {
+                    font-size: 11px;
+                    font-weight: 600;
+                    min-height: 14px;
+                    color: var(--text-secondary);
+                    word-break: break-all;
+                }
+
+                .transfer-status.error { color: var(--danger); }
+                .transfer-status.success { color: var(--success); }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('.transfer-export').forEach(button => {
+            button.addEventListener('click', () => this.export(button.getAttribute('data-export')));
+        });
+
+        this.container.querySelector('.transfer-import').addEventListener('click', () => this.import());
+
+        // A new file or mode cancels a pending replace confirmation
+        this.container.querySelector('.transfer-file').addEventListener('change', () => this.cancelPendingImport());
+        this.container.querySelector('.transfer-mode').addEventListener('change', () => this.cancelPendingImport());
+    }
+
+    setStatus(text, type = '') {
+        const status = this.container.querySelector('.transfer-status');
+        if (!status) return;
+        status.textContent = text;
+        status.className = `transfer-status ${type}`;
+    }
+
+    async export(kind) {
+        if (!this.analytics) {
+            this.setStatus('Analytics are not available', 'error');
+            return;
+        }
+
+        const day = new Date().toISOString().slice(0, 10);
+        const exported = this.analytics.exportData();
+        const data = exported.fullData;
+        const exports = {
+            json: () => [`ucanduit-analytics-${day}.json`, JSON.stringify(exported, null, 2), 'application/json'],
+            daily: () => [`ucanduit-daily-stats-${day}.csv`, toCsv(dailyStatsRows(data)), 'text/csv'],
+            sessions: () => [`ucanduit-sessions-${day}.csv`, toCsv(sessionRows(data)), 'text/csv']
+        };
+        const [filename, contents, mimeType] = exports[kind]();
+
+        try {
+            const savedTo = await saveTextFile(filename, contents, mimeType);
+            console.log(`✅ Analytics exported to ${savedTo}`);
+            this.setStatus(`Saved to ${savedTo}`, 'success');
+        } catch (error) {
+            console.error('❌ Failed to export analytics:', error);
+            this.setStatus(`Export failed: ${error.message || error}`, 'error');
+        }
+    }
+
+    async readSelectedFile() {
+        const file = this.container.querySelector('.transfer-file').files[0];
+        if (!file) {
+            throw new Error('Choose an exported .json file first');
+        }
+
+        try {
+            return JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
+    }
+
+    async import() {
+        if (!this.analytics) {
+            this.setStatus('Analytics are not available', 'error');
+            return;
+        }
+
+        const mode = this.container.querySelector('.transfer-mode').value;
+        const importButton = this.container.querySelector('.transfer-import');
+
+        try {
+            let imported = this.pendingImport;
+            if (!imported) {
+                imported = await this.readSelectedFile();
+                this.analytics.validateImport(imported);
+
+                // Replacing throws away local history - ask for a second click
+                if (mode === 'replace') {
+                    this.pendingImport = imported;
+                    importButton.textContent = 'Confirm replace';
+                    this.setStatus('This replaces all local analytics. Click again to confirm.', 'error');
+                    return;
+                }
+            }
+
+            const result = this.analytics.importData(imported, mode);
+            this.cancelPendingImport();
+            this.setStatus(`Imported ${result.days} days and ${result.sessions} sessions (${mode})`, 'success');
+        } catch (error) {
+            this.cancelPendingImport();
+            console.error('❌ Failed to import analytics:', error);
+            this.setStatus(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    cancelPendingImport() {
+        this.pendingImport = null;
+        const importButton = this.container.querySelector('.transfer-import');
+        if (importButton) {
+            importButton.textContent = 'Import';
+        }
+        this.setStatus('');
+    }
+
+    destroy() {
+        this.pendingImport = null;
+        this.container.innerHTML = '';
+    }
+}
@@ -0,0 +1,1053 @@
+/**
+ * Usage Analytics & Gamification System
+ * Tracks user engagement and unlocks achievements
+ */
+
+import { storage } from './storage.js';
+import { AchievementEngine, LEGACY_ACHIEVEMENTS } from './achievements.js';
+import { achievementToast } from './achievement-toast.js';
+import { notificationService } from './notifications.js';
+
+// 'analytics' holds the data, 'analytics-backup-vN' the pre-migration copies
+const analyticsStorage = storage.namespace('analytics');
+
+// Bump when the stored shape changes, and add a migration for the new version below
+const ANALYTICS_SCHEMA_VERSION = 3;
+
+const DEFAULT_DAILY_GOALS = { focusMinutes: 50, todosCompleted: 3 };
+const STREAK_FREEZE_EVERY = 7; // Qualifying days in a row that earn a freeze token
+const MAX_STREAK_FREEZES = 3;
+const MERGED_GROUPS = ['timerSessions', 'breakSessions', 'todoMetrics', 'osscMetrics'];
+const DERIVED_COUNTERS = ['averageMinutes', 'longestSession', 'completionRate']; // Recomputed after a merge, not summed
+
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// a - b for maps of number maps ({ row: { key: n } }), never below 0
+function subtractTotals(a = {}, b = {}) {
+    const result = {};
+    Object.entries(a).forEach(([row, values]) => {
+        result[row] = {};
+        Object.entries(values).forEach(([key, value]) => {
+            result[row][key] = Math.max(0, value - ((b[row] || {})[key] || 0));
+        });
+    });
+    return result;
+}
+
+function addTotals(target, totals) {
+    Object.entries(totals).forEach(([row, values]) => {
+        target[row] = target[row] || {};
+        Object.entries(values).forEach(([key, value]) => {
+            target[row][key] = (target[row][key] || 0) + value;
+        });
+    });
+    return target;
+}
+
+// Ordered upgrades - migrate(data) takes data at version - 1 and returns it at version
+const ANALYTICS_MIGRATIONS = [
+    {
+        // Unversioned data: per-day focusMinutes / timersCompleted didn't exist yet and
+        // nothing recorded them, so those days start at 0 - their focus time can't be recovered
+        version: 1,
+        migrate(data) {
+            Object.values(data.dailyStats || {}).forEach(stats => {
+                if ('focusMinutes' in stats) return;
+                stats.focusMinutes = 0;
+                stats.timersCompleted = 0;
+            });
+            return data;
+        }
+    },
+    {
+        // Streaks used to count days the app was opened - they now count days meeting
+        // the daily goals and are recomputed from dailyStats after loading
+        version: 2,
+        migrate(data) {
+            data.streak = 0;
+            return data;
+        }
+    },
+    {
+        // Achievements were fixed booleans - they're now tiered levels with unlock times
+        // (unknown for the old ones) kept per achievement id from the registry
+        version: 3,
+        migrate(data) {
+            const achievements = {};
+            Object.entries(data.achievements || {}).forEach(([key, unlocked]) => {
+                if (!unlocked || !LEGACY_ACHIEVEMENTS[key]) return;
+                const [id, level] = LEGACY_ACHIEVEMENTS[key];
+                const state = achievements[id] || (achievements[id] = { level: 0, count: 0, unlockedAt: [] });
+                for (let tier = state.level; tier < level; tier++) {
+                    state.unlockedAt[tier] = null;
+                }
+                state.level = Math.max(state.level, level);
+                // Event-counted achievements start from the events they already saw
+                state.count = Math.max(state.count, key === 'nightOwl' || key === 'earlyBird' ? 1 : 0);
+            });
+            data.achievements = achievements;
+            data.customAchievements = data.customAchievements || [];
+            return data;
+        }
+    }
+];
+
+class UsageAnalytics {
+    constructor() {
+        this.data = this.createDefaultData();
+        
+        this.sessionInterval = null;
+        this.saveInterval = null;
+        
+        // Registry-driven achievements, checked after every tracked event
+        this.achievements = new AchievementEngine(this, (progress, tier) => this.showAchievementNotification(progress, tier));
+        
+        // Detailed session records kept before compaction into sessionArchive
+        this.sessionLogRetentionDays = 90;
+        this.sessionLogMaxEntries = 1000;
+    }
+
+    // Fresh analytics document - also the shape imports are validated and merged against
+    createDefaultData() {
+        return {
+            schemaVersion: ANALYTICS_SCHEMA_VERSION,
+            
+            // Identifies this installation's history when it is imported elsewhere
+            deviceId: createId(),
+            
+            // What earlier merges added from each other device, keyed by its deviceId:
+            // { counters, dailyStats, sessionDays } as returned by mergeTotals()
+            importedFrom: {},
+            
+            // Session tracking
+            sessionsCount: 0,
+            totalRuntime: 0, // milliseconds
+            currentSessionStart: null,
+            currentSessionDuration: 0,
+            
+            // Timer analytics
+            timerSessions: {
+                total: 0,
+                completed: 0,
+                totalMinutes: 0,
+                averageMinutes: 0,
+                longestSession: 0,
+                pauses: 0,
+                resumes: 0,
+                totalPausedMinutes: 0,
+                abandoned: 0,
+                abandonedMinutes: 0,
+                durationChanges: 0,
+                // Summed over every change - with durationChanges, the old and new durations
+                durationChangedFromMinutes: 0,
+                durationChangedToMinutes: 0
+            },
+            
+            // Pomodoro break analytics (kept apart from focus time)
+            breakSessions: {
+                total: 0,
+                completed: 0,
+                totalMinutes: 0
+            },
+            
+            // Focus session history - append-only, one record per finished or abandoned session
+            // { id, mode, status ('completed' | 'abandoned'), startedAt, endedAt (ISO),
+            //   intent, todoId, todoText, plannedMinutes, actualMinutes, pausedMinutes,
+            //   interruptions, abandonReason, sounds[], rating (1-5 or null), note }
+            sessionLog: [],
+            
+            // Older sessions compacted into per-day totals, keyed by toDateString()
+            // { sessions, completed, abandoned, plannedMinutes, actualMinutes, pausedMinutes, interruptions }
+            sessionArchive: {},
+            
+            // Todo analytics  
+            todoMetrics: {
+                listsCreated: 0,
+                itemsCreated: 0,
+                itemsCompleted: 0,
+                completionRate: 0
+            },
+            
+            // OssC interaction metrics
+            osscMetrics: {
+                clicks: 0,
+                demoModeToggled: 0,
+                interactionTime: 0
+            },
+            
+            // Achievement progress by id (see achievements.js), added as they're first touched
+            // { level, count (event-counted ones), unlockedAt: [ISO string per reached tier] }
+            achievements: {},
+            
+            // User-defined achievements: { id, icon, name, metric, tiers: [thresholds] }
+            customAchievements: [],
+            
+            // Daily statistics
+            dailyStats: {},
+            lastUsage: null,
+            
+            // A day qualifies for the streak when any goal above 0 is met
+            goals: { ...DEFAULT_DAILY_GOALS },
+            
+            // Consecutive qualifying days, settled at each day rollover
+            streak: 0,
+            streakState: {
+                lastEvaluatedDay: null, // toDateString() of the last finished day settled
+                frozenDays: [],         // Missed days bridged by a freeze token
+                freezes: 0,             // Tokens available - one per STREAK_FREEZE_EVERY days in a row
+                freezesEarned: 0,
+                longest: 0
+            }
+        };
+    }
+    
+    // Initialize analytics system
+    async init() {
+        try {
+            const saved = await this.loadSavedData();
+            if (saved) {
+                const loadedData = JSON.parse(saved);
+                const version = loadedData.schemaVersion || 0;
+                if (version < ANALYTICS_SCHEMA_VERSION) {
+                    await this.backupRawData(saved, version);
+                }
+                this.data = this.withDefaults(this.migrate(loadedData));
+                this.compactSessionLog();
+            }
+        } catch (error) {
+            console.warn('Could not load analytics data:', error);
+        }
+        
+        this.checkStreak();
+        this.achievements.seed(); // Tiers the saved history already reached aren't news
+        
+        // Start current session tracking
+        this.startSession();
+        this.setupPeriodicSave();
+        
+        console.log('Usage Analytics initialized:', this.getSessionSummary());
+        
+        // Make analytics accessible from console for debugging/viewing
+        window.viewAnalytics = () => this.viewAnalytics();
+    }
+
+    // Saved data as a JSON string, so the untouched original can be backed up before migrating
+    async loadSavedData() {
+        const saved = await analyticsStorage.get();
+        return saved ? JSON.stringify(saved) : null;
+    }
+    
+    // Keep the stored blob as it was before migrating, one copy per old version
+    async backupRawData(raw, version) {
+        await analyticsStorage.set(`backup-v${version}`, JSON.parse(raw), { debounce: 0 });
+        console.log(`💾 Backed up analytics data (schema v${version}) before migrating`);
+    }
+    
+    // Run every migration newer than the data's schema version, in order.
+    // A failing migration stops the chain - the data keeps the last version reached
+    // so the remaining steps are retried on the next load (the backup has the original).
+    migrate(data) {
+        const version = data.schemaVersion || 0;
+        if (version > ANALYTICS_SCHEMA_VERSION) {
+            console.warn(`Analytics data is from a newer version (schema v${version}), loading as-is`);
+            return data;
+        }
+        
+        let migrated = data;
+        for (const migration of ANALYTICS_MIGRATIONS.filter(m => m.version > version)) {
+            try {
+                migrated = migration.migrate(migrated);
+                migrated.schemaVersion = migration.version;
+                console.log(`🔄 Migrated analytics data to schema v${migration.version}`);
+            } catch (error) {
+                console.error(`❌ Analytics migration to schema v${migration.version} failed:`, error);
+                break;
+            }
+        }
+        return migrated;
+    }
+    
+    // Fill in keys missing from saved data at any depth (new counters, new achievements),
+    // keeping every saved value. Maps keyed by day (dailyStats) default to {} and are kept whole.
+    withDefaults(data, defaults = this.createDefaultData()) {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        if (isPlainObject(defaults)) {
+            if (!isPlainObject(data)) return defaults;
+            const merged = { ...defaults };
+            Object.keys(data).forEach(key => {
+                merged[key] = key in defaults ? this.withDefaults(data[key], defaults[key]) : data[key];
+            });
+            return merged;
+        }
+        if (Array.isArray(defaults)) {
+            return Array.isArray(data) ? data : defaults;
+        }
+        // Leaf values keep their saved value unless it's missing or of the wrong type
+        if (defaults !== null && (data === undefined || typeof data !== typeof defaults)) {
+            return defaults;
+        }
+        return data;
+    }
+    
+    // Console debugging function
+    viewAnalytics() {
+        console.log('📊 Usage Analytics Data:');
+        console.log('========================');
+        console.table(this.getSessionSummary());
+        console.log('\n🏆 Achievements:');
+        console.table(this.achievements.list().map(({ id, level, maxLevel, value, next, percent }) => ({ id, level, maxLevel, value, next, percent })));
+        console.log('\n📈 Detailed Data:', this.data);
+        return this.exportData();
+    }
+    
+    // Start tracking current session
+    startSession() {
+        this.data.currentSessionStart = Date.now();
+        this.data.currentSessionDuration = 0;
+        this.data.sessionsCount++;
+        
+        // Start session runtime counter
+        this.sessionInterval = setInterval(() => {
+            this.data.currentSessionDuration = Date.now() - this.data.currentSessionStart;
+            this.data.totalRuntime += 1000; // Add 1 second
+            this.updateDailyStats();
+            
+            // Left running past midnight - settle the day that just ended
+            if (new Date().toDateString() !== this.data.lastUsage) {
+                this.checkStreak();
+                this.achievements.check();
+                this.save();
+            }
+        }, 1000);
+    }
+    
+    // Update daily statistics
+    updateDailyStats() {
+        const today = new Date().toDateString();
+        if (!this.data.dailyStats[today]) {
+            this.data.dailyStats[today] = {
+                runtime: 0,
+                timers: 0,
+                breaks: 0,
+                todosCreated: 0,
+                todosCompleted: 0,
+                timersCompleted: 0,
+                focusMinutes: 0,
+                pauses: 0,
+                pausedMinutes: 0,
+                abandoned: 0,
+                abandonedMinutes: 0,
+                durationChanges: 0,
+                durationChangedFromMinutes: 0,
+                durationChangedToMinutes: 0
+            };
+        }
+        this.data.dailyStats[today].runtime = this.data.currentSessionDuration;
+    }
+    
+    // Timer event tracking - phase is 'work', 'shortBreak' or 'longBreak'
+    trackTimerStart(durationMinutes, phase = 'work') {
+        if (phase !== 'work') {
+            this.trackBreakStart();
+            return;
+        }
+        
+        this.data.timerSessions.total++;
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.data.dailyStats[today].timers++;
+        
+        this.achievements.check('timerStart', { minutes: durationMinutes });
+        this.save();
+    }
+    
+    trackTimerComplete(actualMinutes, phase = 'work') {
+        if (phase !== 'work') {
+            this.trackBreakComplete(actualMinutes);
+            return;
+        }
+        
+        this.data.timerSessions.completed++;
+        this.data.timerSessions.totalMinutes += actualMinutes;
+        this.data.timerSessions.averageMinutes = 
+            this.data.timerSessions.totalMinutes / this.data.timerSessions.completed;
+        
+        if (actualMinutes > this.data.timerSessions.longestSession) {
+            this.data.timerSessions.longestSession = actualMinutes;
+        }
+        
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.increment(this.data.dailyStats[today], 'timersCompleted');
+        this.increment(this.data.dailyStats[today], 'focusMinutes', actualMinutes);
+        this.refreshStreak();
+        
+        this.achievements.check('timerComplete', { minutes: actualMinutes });
+        this.save();
+    }
+    
+    // Counters added over time may be missing from older saved data
+    increment(target, key, amount = 1) {
+        target[key] = (target[key] || 0) + amount;
+    }
+    
+    // Pause / resume / abandon events - only focus sessions are counted
+    trackTimerPause(phase = 'work') {
+        if (phase !== 'work') return;
+        
+        this.increment(this.data.timerSessions, 'pauses');
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.increment(this.data.dailyStats[today], 'pauses');
+        this.save();
+    }
+    
+    trackTimerResume(pausedMinutes, phase = 'work') {
+        if (phase !== 'work') return;
+        
+        this.increment(this.data.timerSessions, 'resumes');
+        this.increment(this.data.timerSessions, 'totalPausedMinutes', pausedMinutes);
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.increment(this.data.dailyStats[today], 'pausedMinutes', pausedMinutes);
+        this.save();
+    }
+    
+    // Reset (or skipped / re-timed) before completing. Why it was abandoned is kept on
+    // the session's record in the history log (abandonReason)
+    trackSessionAbandoned(elapsedMinutes, phase = 'work') {
+        if (phase !== 'work') return;
+        
+        this.increment(this.data.timerSessions, 'abandoned');
+        this.increment(this.data.timerSessions, 'abandonedMinutes', elapsedMinutes);
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.increment(this.data.dailyStats[today], 'abandoned');
+        this.increment(this.data.dailyStats[today], 'abandonedMinutes', elapsedMinutes);
+        this.save();
+    }
+    
+    trackDurationChange(fromMinutes, toMinutes) {
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        [this.data.timerSessions, this.data.dailyStats[today]].forEach(target => {
+            this.increment(target, 'durationChanges');
+            this.increment(target, 'durationChangedFromMinutes', fromMinutes);
+            this.increment(target, 'durationChangedToMinutes', toMinutes);
+        });
+        this.save();
+    }
+    
+    // A focus session recorded after the fact (e.g. a stopped stopwatch run)
+    trackFocusSession(actualMinutes) {
+        this.trackTimerStart(actualMinutes);
+        this.trackTimerComplete(actualMinutes);
+    }
+    
+    // Append a session record to the history log, returns its id for a later reflection
+    logSession(record) {
+        const session = {
+            id: createId(),
+            mode: 'countdown',
+            status: 'completed',
+            intent: '',
+            todoId: null,
+            todoText: '',
+            sounds: [],
+            rating: null,
+            note: '',
+            ...record
+        };
+        this.data.sessionLog.push(session);
+        this.compactSessionLog();
+        this.save();
+        return session.id;
+    }
+    
+    // The log is append-only: only the reflection (rating / note) can be filled in later
+    updateSession(sessionId, { rating, note } = {}) {
+        const session = this.data.sessionLog.find(s => s.id === sessionId);
+        if (!session) return null;
+        
+        if (rating !== undefined) session.rating = rating;
+        if (note !== undefined) session.note = note;
+        this.save();
+        return session;
+    }
+    
+    /**
+     * Query the session history, e.g. getSessionLog({ from: '2025-01-01', status: 'abandoned' })
+     * from / to: Date, ISO string or timestamp, matched against startedAt (inclusive)
+     */
+    getSessionLog({ from = null, to = null, status = null, todoId = null, rated = null } = {}) {
+        const fromTime = from !== null ? new Date(from).getTime() : -Infinity;
+        const toTime = to !== null ? new Date(to).getTime() : Infinity;
+        
+        return this.data.sessionLog.filter(session => {
+            const startedAt = new Date(session.startedAt).getTime();
+            if (startedAt < fromTime || startedAt > toTime) return false;
+            if (status && session.status !== status) return false;
+            if (todoId && session.todoId !== todoId) return false;
+            if (rated !== null && (session.rating !== null) !== rated) return false;
+            return true;
+        });
+    }
+    
+    // Per-day session totals across the detailed log and the compacted archive
+    getDailySessionSummary({ from = null, to = null } = {}) {
+        const fromTime = from !== null ? new Date(from).getTime() : -Infinity;
+        const toTime = to !== null ? new Date(to).getTime() : Infinity;
+        const summary = {};
+        
+        Object.entries(this.data.sessionArchive).forEach(([day, totals]) => {
+            const dayTime = new Date(day).getTime();
+            if (dayTime >= fromTime && dayTime <= toTime) {
+                summary[day] = { ...totals };
+            }
+        });
+        this.getSessionLog({ from, to }).forEach(session => this.addToDayTotals(summary, session));
+        
+        // Rates are derived at query time so archived and live totals combine cleanly
+        Object.values(summary).forEach(totals => {
+            totals.abandonmentRate = totals.sessions > 0 ? totals.abandoned / totals.sessions : 0;
+            totals.averageInterruptions = totals.sessions > 0 ? (totals.interruptions || 0) / totals.sessions : 0;
+        });
+        return summary;
+    }
+    
+    // Share of started focus sessions abandoned, per day: { 'Mon Jan 06 2025': 0.25, ... }
+    getAbandonmentRateByDay(range = {}) {
+        const rates = {};
+        Object.entries(this.getDailySessionSummary(range)).forEach(([day, totals]) => {
+            rates[day] = totals.abandonmentRate;
+        });
+        return rates;
+    }
+    
+    addToDayTotals(totalsByDay, session) {
+        const day = new Date(session.startedAt).toDateString();
+        if (!totalsByDay[day]) {
+            totalsByDay[day] = {
+                sessions: 0, completed: 0, abandoned: 0,
+                plannedMinutes: 0, actualMinutes: 0, pausedMinutes: 0, interruptions: 0
+            };
+        }
+        const totals = totalsByDay[day];
+        totals.sessions++;
+        this.increment(totals, session.status === 'abandoned' ? 'abandoned' : 'completed');
+        this.increment(totals, 'plannedMinutes', session.plannedMinutes || 0);
+        this.increment(totals, 'actualMinutes', session.actualMinutes || 0);
+        this.increment(totals, 'pausedMinutes', session.pausedMinutes || 0);
+        this.increment(totals, 'interruptions', session.interruptions || 0);
+    }
+    
+    // Fold records past the retention window (or over the size cap) into per-day totals
+    // so the saved history stays bounded
+    compactSessionLog() {
+        const cutoff = Date.now() - this.sessionLogRetentionDays * 24 * 60 * 60 * 1000;
+        const log = this.data.sessionLog;
+        
+        let keepFrom = log.findIndex(session => new Date(session.startedAt).getTime() >= cutoff);
+        if (keepFrom === -1) keepFrom = log.length;
+        keepFrom = Math.max(keepFrom, log.length - this.sessionLogMaxEntries);
+        if (keepFrom <= 0) return;
+        
+        log.slice(0, keepFrom).forEach(session => this.addToDayTotals(this.data.sessionArchive, session));
+        this.data.sessionLog = log.slice(keepFrom);
+        console.log(`🗜️ Compacted ${keepFrom} old sessions into daily totals`);
+    }
+    
+    // Break phases don't count towards focus time or timer achievements
+    trackBreakStart() {
+        this.data.breakSessions.total++;
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.data.dailyStats[today].breaks = (this.data.dailyStats[today].breaks || 0) + 1;
+        this.save();
+    }
+    
+    trackBreakComplete(actualMinutes) {
+        this.data.breakSessions.completed++;
+        this.data.breakSessions.totalMinutes += actualMinutes;
+        this.save();
+    }
+    
+    // Todo event tracking
+    trackTodoCreated(isItem) {
+        if (isItem) {
+            this.data.todoMetrics.itemsCreated++;
+        } else {
+            this.data.todoMetrics.listsCreated++;
+        }
+        
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.data.dailyStats[today].todosCreated++;
+        
+        this.achievements.check('todoCreated', { isItem });
+        this.save();
+    }
+    
+    trackTodoCompleted() {
+        this.data.todoMetrics.itemsCompleted++;
+        this.data.todoMetrics.completionRate = 
+            (this.data.todoMetrics.itemsCompleted / this.data.todoMetrics.itemsCreated) * 100;
+        
+        const today = new Date().toDateString();
+        this.updateDailyStats();
+        this.data.dailyStats[today].todosCompleted++;
+        this.refreshStreak();
+        
+        this.achievements.check('todoCompleted');
+        this.save();
+    }
+    
+    // OssC interaction tracking
+    trackOsscInteraction() {
+        this.data.osscMetrics.clicks++;
+        this.achievements.check('osscClick');
+        this.save();
+    }
+    
+    // Custom achievements - definition: { icon, name, metric, tiers: [thresholds] }
+    addCustomAchievement(definition) {
+        const progress = this.achievements.addCustom(definition);
+        this.save();
+        return progress;
+    }
+    
+    removeCustomAchievement(id) {
+        this.achievements.removeCustom(id);
+        this.save();
+    }
+    
+    // Called by the achievement engine once per newly reached tier
+    showAchievementNotification(progress, tier) {
+        const reached = progress.tiers[tier];
+        const message = `${progress.icon} ${reached.title}! ${reached.description}`;
+        console.log(`🏆 ACHIEVEMENT UNLOCKED: ${message}`);
+        
+        achievementToast.show(progress, tier);
+        window.dispatchEvent(new CustomEvent('achievement-unlocked', { detail: { id: progress.id, level: tier + 1 } }));
+        
+        // Native notification through the shared service (handles permission and do-not-disturb)
+        notificationService.notify({
+            title: '🏆 Achievement Unlocked!',
+            body: message
+        });
+    }
+    
+    // Check usage streak
+    // Runs on load, after an import and at every day rollover
+    checkStreak() {
+        this.evaluateFinishedDays();
+        this.refreshStreak();
+        this.data.lastUsage = new Date().toDateString();
+    }
+    
+    // Daily goals
+    getGoals() {
+        return { ...this.data.goals };
+    }
+    
+    // Targets are clamped to 0-1440; at least one goal must stay active
+    setGoals(goals) {
+        const clean = value => Math.max(0, Math.min(1440, parseInt(value) || 0));
+        const next = {
+            focusMinutes: clean(goals.focusMinutes),
+            todosCompleted: clean(goals.todosCompleted)
+        };
+        if (!next.focusMinutes && !next.todosCompleted) {
+            next.focusMinutes = DEFAULT_DAILY_GOALS.focusMinutes;
+        }
+        
+        this.data.goals = next;
+        this.refreshStreak();
+        this.achievements.check();
+        this.save();
+        return this.getGoals();
+    }
+    
+    // { focusMinutes: { value, target, met }, ... } for the active goals
+    getGoalProgress(day = new Date().toDateString()) {
+        const stats = this.data.dailyStats[day] || {};
+        const progress = {};
+        Object.entries(this.data.goals).forEach(([metric, target]) => {
+            if (target > 0) {
+                const value = Math.round((stats[metric] || 0) * 10) / 10;
+                progress[metric] = { value, target, met: value >= target };
+            }
+        });
+        return progress;
+    }
+    
+    isQualifyingDay(day) {
+        return Object.values(this.getGoalProgress(day)).some(goal => goal.met);
+    }
+    
+    isFrozenDay(day) {
+        return this.data.streakState.frozenDays.includes(day);
+    }
+    
+    // Qualifying days in the run ending at date - frozen days bridge a run without adding to it
+    streakEndingAt(date) {
+        const day = new Date(date);
+        day.setHours(12, 0, 0, 0);
+        
+        let streak = 0;
+        for (;;) {
+            const key = day.toDateString();
+            if (this.isQualifyingDay(key)) {
+                streak++;
+            } else if (!this.isFrozenDay(key)) {
+                break;
+            }
+            day.setDate(day.getDate() - 1);
+        }
+        return streak;
+    }
+    
+    // Today joins the streak once its goal is met - until then the run through yesterday stands
+    refreshStreak() {
+        const today = new Date();
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        
+        const streak = this.isQualifyingDay(today.toDateString())
+            ? this.streakEndingAt(today)
+            : this.streakEndingAt(yesterday);
+        
+        this.data.streak = streak;
+        this.data.streakState.longest = Math.max(this.data.streakState.longest || 0, streak);
+        return streak;
+    }
+    
+    // Settle each finished day since the last check: every STREAK_FREEZE_EVERY-th qualifying
+    // day in a row earns a freeze token, a missed day that would end a running streak spends one
+    evaluateFinishedDays() {
+        const state = this.data.streakState;
+        const yesterday = new Date();
+        yesterday.setHours(12, 0, 0, 0);
+        yesterday.setDate(yesterday.getDate() - 1);
+        
+        // First run starts with yesterday - no tokens are handed out for older history
+        const day = new Date(state.lastEvaluatedDay || yesterday);
+        day.setHours(12, 0, 0, 0);
+        if (state.lastEvaluatedDay) {
+            day.setDate(day.getDate() + 1);
+        }
+        
+        for (; day <= yesterday; day.setDate(day.getDate() + 1)) {
+            const key = day.toDateString();
+            
+            if (this.isQualifyingDay(key)) {
+                const run = this.streakEndingAt(day);
+                if (run % STREAK_FREEZE_EVERY === 0 && state.freezes < MAX_STREAK_FREEZES) {
+                    state.freezes++;
+                    state.freezesEarned++;
+                    console.log(`🧊 Earned a streak freeze for ${run} days in a row`);
+                }
+            } else if (!this.isFrozenDay(key) && state.freezes > 0) {
+                const dayBefore = new Date(day);
+                dayBefore.setDate(dayBefore.getDate() - 1);
+                if (this.streakEndingAt(dayBefore) > 0) {
+                    state.frozenDays.push(key);
+                    state.freezes--;
+                    console.log(`🧊 Streak freeze used for ${key}`);
+                }
+            }
+            
+            state.lastEvaluatedDay = key;
+        }
+    }
+    
+    // Get session summary for display
+    getSessionSummary() {
+        const currentSession = Math.floor(this.data.currentSessionDuration / 1000 / 60);
+        const totalHours = Math.floor(this.data.totalRuntime / 1000 / 60 / 60);
+        const totalMinutes = Math.floor((this.data.totalRuntime / 1000 / 60) % 60);
+        
+        return {
+            'Current Session': `${currentSession} minutes`,
+            'Total Sessions': this.data.sessionsCount,
+            'Total Runtime': `${totalHours}h ${totalMinutes}m`,
+            'Timer Sessions': `${this.data.timerSessions.completed}/${this.data.timerSessions.total}`,
+            'Abandoned Sessions': this.data.timerSessions.abandoned || 0,
+            'Todos Completed': this.data.todoMetrics.itemsCompleted,
+            'Current Streak': `${this.data.streak} days`,
+            'Achievements': this.achievements.unlockedLevels()
+        };
+    }
+    
+    // Export data for backup/analysis
+    exportData() {
+        return {
+            summary: this.getSessionSummary(),
+            fullData: JSON.parse(JSON.stringify(this.data)),
+            exportTime: new Date().toISOString()
+        };
+    }
+
+    // Accepts an exportData() document or a bare analytics object, returns a copy of the data.
+    // Throws with a readable message when the shape doesn't match the analytics schema.
+    validateImport(imported) {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isCount = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+        const data = isPlainObject(imported) && isPlainObject(imported.fullData) ? imported.fullData : imported;
+        if (!isPlainObject(data) || !isPlainObject(data.dailyStats)) {
+            throw new Error('Not an analytics export (missing dailyStats)');
+        }
+
+        const defaults = this.createDefaultData();
+        Object.entries(defaults).forEach(([key, fallback]) => {
+            if (!(key in data) || fallback === null) return;
+            const value = data[key];
+
+            if (typeof fallback === 'number' && !isCount(value)) {
+                throw new Error(`${key} must be a non-negative number`);
+            }
+            if (Array.isArray(fallback) && !Array.isArray(value)) {
+                throw new Error(`${key} must be a list`);
+            }
+            if (isPlainObject(fallback) && !isPlainObject(value)) {
+                throw new Error(`${key} must be an object`);
+            }
+        });
+
+        ['timerSessions', 'breakSessions', 'todoMetrics', 'osscMetrics'].forEach(group => {
+            Object.entries(data[group] || {}).forEach(([key, value]) => {
+                if (!isCount(value)) throw new Error(`${group}.${key} must be a non-negative number`);
+            });
+        });
+
+        // Booleans come from exports before schema v3 and are migrated after validation
+        Object.entries(data.achievements || {}).forEach(([key, value]) => {
+            if (typeof value === 'boolean') return;
+            if (!isPlainObject(value) || !isCount(value.level) || !Array.isArray(value.unlockedAt || [])) {
+                throw new Error(`achievements.${key} must have a level and unlock times`);
+            }
+        });
+
+        (data.customAchievements || []).forEach((custom, index) => {
+            if (!isPlainObject(custom) || typeof custom.id !== 'string' || !Array.isArray(custom.tiers)) {
+                throw new Error(`customAchievements[${index}] needs an id and a list of targets`);
+            }
+        });
+
+        ['dailyStats', 'sessionArchive'].forEach(group => {
+            Object.entries(data[group] || {}).forEach(([day, stats]) => {
+                if (isNaN(new Date(day).getTime())) throw new Error(`${group} has an invalid date: ${day}`);
+                if (!isPlainObject(stats)) throw new Error(`${group}["${day}"] must be an object`);
+                Object.entries(stats).forEach(([key, value]) => {
+                    if (!isCount(value)) throw new Error(`${group}["${day}"].${key} must be a non-negative number`);
+                });
+            });
+        });
+
+        Object.entries(data.importedFrom || {}).forEach(([device, totals]) => {
+            const valid = isPlainObject(totals) && Object.values(totals).every(section => isPlainObject(section)
+                && Object.values(section).every(row => isPlainObject(row) && Object.values(row).every(isCount)));
+            if (!valid) throw new Error(`importedFrom.${device} must hold counts only`);
+        });
+
+        (data.sessionLog || []).forEach((session, index) => {
+            if (!isPlainObject(session) || typeof session.id !== 'string' || isNaN(new Date(session.startedAt).getTime())) {
+                throw new Error(`sessionLog[${index}] needs an id and a valid startedAt`);
+            }
+        });
+
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Load an exported analytics document
+     * @param {Object} imported - exportData() output or a bare analytics object
+     * @param {string} mode - 'merge' keeps existing history, 'replace' discards it
+     * @returns {{days: number, sessions: number}} what the import contained
+     */
+    importData(imported, mode = 'merge') {
+        // Exports from older versions are upgraded like stored data
+        const validated = this.validateImport(imported);
+        const data = this.withDefaults(this.migrate(validated));
+        // Exports from before device ids count as a single device
+        data.deviceId = validated.deviceId || 'unknown';
+        const { deviceId, currentSessionStart, currentSessionDuration } = this.data;
+
+        if (mode === 'replace') {
+            const { source, totals } = this.sourceTotals(data);
+            this.data = data;
+            if (source !== deviceId) {
+                this.data.importedFrom[source] = totals;
+            }
+        } else {
+            this.mergeData(data);
+        }
+
+        // The running session and the device id belong to this machine, not to the file
+        this.data.deviceId = deviceId;
+        this.data.currentSessionStart = currentSessionStart;
+        this.data.currentSessionDuration = currentSessionDuration;
+
+        this.compactSessionLog();
+        this.checkStreak();
+        this.achievements.seed();
+        this.save();
+
+        const result = {
+            days: Object.keys(data.dailyStats).length,
+            sessions: (data.sessionLog || []).length
+        };
+        console.log(`📥 Imported analytics (${mode}):`, result);
+        window.dispatchEvent(new CustomEvent('analytics-imported', { detail: { mode, ...result } }));
+        return result;
+    }
+
+    // Everything a merge adds up: the counters, dailyStats, and per-day session
+    // totals over both the detailed log and the compacted archive
+    mergeTotals(data) {
+        const counters = {
+            usage: { sessionsCount: data.sessionsCount || 0, totalRuntime: data.totalRuntime || 0 },
+            achievements: {}
+        };
+        MERGED_GROUPS.forEach(group => {
+            counters[group] = {};
+            Object.entries(data[group] || {}).forEach(([key, value]) => {
+                if (!DERIVED_COUNTERS.includes(key)) counters[group][key] = value;
+            });
+        });
+        Object.entries(data.achievements || {}).forEach(([id, state]) => {
+            if (state.count) counters.achievements[id] = state.count;
+        });
+
+        const sessionDays = addTotals({}, data.sessionArchive || {});
+        (data.sessionLog || []).forEach(session => this.addToDayTotals(sessionDays, session));
+
+        return { counters, dailyStats: addTotals({}, data.dailyStats || {}), sessionDays };
+    }
+
+    // The part of an imported document's totals that originated on its device - what it
+    // had already taken from this one is left out
+    sourceTotals(data) {
+        const source = data.deviceId;
+        const fromHere = (data.importedFrom || {})[this.data.deviceId] || {};
+        const totals = this.mergeTotals(data);
+        Object.keys(totals).forEach(section => {
+            totals[section] = subtractTotals(totals[section], fromHere[section]);
+        });
+        return { source, totals };
+    }
+
+    // Adds what the other device recorded since its last import, so history from both
+    // machines is kept and importing the same file twice changes nothing. Sessions are
+    // matched by id.
+    mergeData(data) {
+        const current = this.data;
+        const { source, totals } = this.sourceTotals(data);
+        // A file from this device is an older copy of the same history - only what it
+        // holds beyond the current data is added (e.g. restoring a backup)
+        const isOwn = source === current.deviceId;
+        const before = isOwn ? this.mergeTotals(current) : current.importedFrom[source] || {};
+        const added = {};
+        Object.keys(totals).forEach(section => {
+            added[section] = subtractTotals(totals[section], before[section]);
+        });
+        if (!isOwn) {
+            current.importedFrom[source] = totals;
+        }
+
+        const { usage, achievements, ...groups } = added.counters;
+        Object.entries(usage || {}).forEach(([key, value]) => this.increment(current, key, value));
+        addTotals(current, groups);
+        Object.entries(achievements || {}).forEach(([id, count]) => {
+            current.achievements[id] = current.achievements[id] || { level: 0, count: 0, unlockedAt: [] };
+            this.increment(current.achievements[id], 'count', count);
+        });
+        addTotals(current.dailyStats, added.dailyStats);
+
+        const timers = current.timerSessions;
+        timers.longestSession = Math.max(timers.longestSession || 0, (data.timerSessions || {}).longestSession || 0);
+        if (timers.completed > 0) {
+            timers.averageMinutes = timers.totalMinutes / timers.completed;
+        }
+        if (current.todoMetrics.itemsCreated > 0) {
+            current.todoMetrics.completionRate = (current.todoMetrics.itemsCompleted / current.todoMetrics.itemsCreated) * 100;
+        }
+
+        // Custom definitions are matched by id, levels keep the higher one and the
+        // earliest unlock time of each tier
+        const customIds = new Set(current.customAchievements.map(custom => custom.id));
+        (data.customAchievements || []).forEach(custom => {
+            if (!customIds.has(custom.id)) current.customAchievements.push(custom);
+        });
+
+        Object.entries(data.achievements || {}).forEach(([id, imported]) => {
+            const state = current.achievements[id] || { level: 0, count: 0, unlockedAt: [] };
+            const level = Math.max(state.level || 0, imported.level || 0);
+            const unlockedAt = [];
+            for (let tier = 0; tier < level; tier++) {
+                const times = [(state.unlockedAt || [])[tier], (imported.unlockedAt || [])[tier]].filter(Boolean);
+                unlockedAt[tier] = times.length ? times.sort()[0] : null;
+            }
+            current.achievements[id] = { ...state, level, unlockedAt };
+        });
+
+        // The archive keeps whatever part of each day's session totals the merged log
+        // doesn't hold - a session can sit in one side's log and the other's archive
+        const sessionDays = addTotals(this.mergeTotals(current).sessionDays, added.sessionDays);
+        const sessions = new Map(current.sessionLog.map(session => [session.id, session]));
+        (data.sessionLog || []).forEach(session => {
+            if (!sessions.has(session.id)) sessions.set(session.id, session);
+        });
+        current.sessionLog = [...sessions.values()]
+            .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+        const logDays = {};
+        current.sessionLog.forEach(session => this.addToDayTotals(logDays, session));
+        current.sessionArchive = {};
+        Object.entries(subtractTotals(sessionDays, logDays)).forEach(([day, archived]) => {
+            if (archived.sessions > 0) current.sessionArchive[day] = archived;
+        });
+
+        // Freeze tokens spent on either machine keep bridging their days - the streak
+        // itself is recomputed from the merged dailyStats afterwards
+        const state = current.streakState;
+        const importedState = data.streakState || {};
+        state.frozenDays = [...new Set([...state.frozenDays, ...(importedState.frozenDays || [])])];
+        ['freezes', 'freezesEarned', 'longest'].forEach(key => {
+            state[key] = Math.max(state[key] || 0, importedState[key] || 0);
+        });
+    }
+
+    // Setup periodic saving
+    setupPeriodicSave() {
+        this.saveInterval = setInterval(() => {
+            this.save();
+        }, 30000); // Save every 30 seconds
+    }
+    
+    // Save data through the shared storage service - frequent calls coalesce into one write
+    save() {
+        return analyticsStorage.set('', this.data);
+    }
+    
+    // Clean shutdown
+    shutdown() {
+        if (this.sessionInterval) {
+            clearInterval(this.sessionInterval);
+        }
+        if (this.saveInterval) {
+            clearInterval(this.saveInterval);
+        }
+        // Runs from beforeunload - write now rather than after the debounce
+        this.save();
+        analyticsStorage.flush();
+        console.log('Analytics shutdown complete');
+    }
+}
+
+// Export for use in other modules
+window.UsageAnalytics = UsageAnalytics;
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Custom Achievements - ES6 Module
+ * Settings editor for user-defined achievements: pick a metric, a name and icon,
+ * and one or more targets (each target is a level)
+ */
+
+import { ACHIEVEMENT_METRICS } from './achievements.js';
+
+export class CustomAchievementsEditor {
+    constructor(container) {
+        this.container = container;
+        this.render();
+        this.bindEvents();
+    }
+
+    get analytics() {
+        return window.usageAnalytics || null;
+    }
+
+    render() {
+        if (!this.analytics) {
+            this.container.innerHTML = '<div class="custom-achievements">Usage analytics aren\'t available yet.</div>';
+            return;
+        }
+
+        const rows = this.analytics.achievements.list().filter(progress => progress.custom).map(progress => `
+            <div class="custom-achievement-row" data-id="${progress.id}">
+                <span class="custom-achievement-icon">${this.escapeHtml(progress.icon)}</span>
+                <span class="custom-achievement-info">
+                    <span>${this.escapeHtml(progress.name)}</span>
+                    <span class="custom-achievement-detail">
+                        ${ACHIEVEMENT_METRICS[this.analytics.achievements.getDefinition(progress.id).metric].label}:
+                        ${progress.tiers.map(tier => tier.at).join(' / ')} · now ${progress.value} · level ${progress.level}/${progress.maxLevel}
+                    </span>
+                </span>
+                <button class="custom-achievement-delete" title="Delete achievement">✕</button>
+            </div>
+        `).join('');
+
+        const metricOptions = Object.entries(ACHIEVEMENT_METRICS).map(([id, metric]) => `
+            <option value="${id}">${metric.label}</option>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="custom-achievements">
+                ${rows || '<div class="custom-achievement-empty">No custom achievements yet</div>'}
+
+                <div class="custom-achievement-form">
+                    <div class="custom-achievement-fields">
+                        <input type="text" class="custom-achievement-icon-input" maxlength="4" placeholder="⭐">
+                        <input type="text" class="custom-achievement-name" maxlength="40" placeholder="Name">
+                    </div>
+                    <select class="custom-achievement-metric">${metricOptions}</select>
+                    <input type="text" class="custom-achievement-tiers" placeholder="Targets, e.g. 10, 50, 100">
+                    <div class="custom-achievement-actions">
+                        <span class="custom-achievement-status"></span>
+                        <button class="custom-achievement-add">+ Add</button>
+                    </div>
+                </div>
+            </div>
+
+            <style>
+                .custom-achievements {
+                    font-size: 12px;
+                    font-weight: 600;
+                }
+
+                .custom-achievement-row {
+                    display: flex;
+                    gap: 6px;
+                    align-items: center;
+                    margin-bottom: 6px;
+                }
+
+                .custom-achievement-icon { font-size: 18px; }
+
+                .custom-achievement-info {
+                    flex: 1;
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 0;
+                }
+
+                .custom-achievement-detail {
+                    font-size: 10px;
+                    color: var(--text-secondary);
+                }
+
+                .custom-achievement-form {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 12px;
+                    padding: 8px;
+                    margin-top: 8px;
+                }
+
+                .custom-achievement-fields {
+                    display: flex;
+                    gap: 6px;
+                }
+
+                .custom-achievement-form input, .custom-achievement-form select {
+                    padding: 4px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 8px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 12px;
+                    min-width: 0;
+                }
+
+                .custom-achievement-icon-input { width: 36px; text-align: center; }
+                .custom-achievement-name { flex: 1; }
+
+                .custom-achievements button {
+                    padding: 4px 10px;
+                    font-size: 11px;
+                    margin: 0;
+                }
+
+                .custom-achievement-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    align-items: center;
+                    gap: 6px;
+                }
+
+                .custom-achievement-status {
+                    flex: 1;
+                    font-size: 11px;
+                    color: var(--danger);
+                }
+
+                .custom-achievement-empty {
+                    text-align: center;
+                    color: var(--text-secondary);
+                    padding: 10px;
+                }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        if (!this.analytics) return;
+
+        this.container.querySelectorAll('.custom-achievement-row').forEach(row => {
+            row.querySelector('.custom-achievement-delete').addEventListener('click', () => {
+                this.analytics.removeCustomAchievement(row.getAttribute('data-id'));
+                this.render();
+                this.bindEvents();
+            });
+        });
+
+        this.container.querySelector('.custom-achievement-add').addEventListener('click', () => {
+            const field = selector => this.container.querySelector(selector).value;
+            try {
+                this.analytics.addCustomAchievement({
+                    icon: field('.custom-achievement-icon-input'),
+                    name: field('.custom-achievement-name'),
+                    metric: field('.custom-achievement-metric'),
+                    tiers: field('.custom-achievement-tiers').split(/[\s,]+/).filter(Boolean)
+                });
+            } catch (error) {
+                this.container.querySelector('.custom-achievement-status').textContent = error.message;
+                return;
+            }
+
+            this.render();
+            this.bindEvents();
+            if (window.updateStatus) {
+                window.updateStatus('Achievement added', 'success', 2000);
+            }
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Daily Goals - ES6 Module
+ * Settings editor for the goals that make a day count towards the streak,
+ * with today's progress and the streak-freeze tokens earned so far
+ */
+
+const GOAL_LABELS = {
+    focusMinutes: { name: 'Focus minutes', icon: '⏰' },
+    todosCompleted: { name: 'Todos completed', icon: '✅' }
+};
+
+export class DailyGoalsEditor {
+    constructor(container) {
+        this.container = container;
+        this.render();
+        this.bindEvents();
+    }
+
+    get analytics() {
+        return window.usageAnalytics || null;
+    }
+
+    renderProgress() {
+        const progress = this.analytics.getGoalProgress();
+        const rows = Object.entries(progress).map(([metric, goal]) => {
+            const percent = Math.min(100, Math.round((goal.value / goal.target) * 100));
+            return `
+                <div class="goal-progress-row ${goal.met ? 'met' : ''}">
+                    <span>${GOAL_LABELS[metric].icon} ${goal.value}/${goal.target}</span>
+                    <div class="goal-progress-bar"><div style="width: ${percent}%;"></div></div>
+                </div>
+            `;
+        }).join('');
+
+        const qualified = this.analytics.isQualifyingDay(new Date().toDateString());
+        return `
+            ${rows}
+            <div class="goal-today">${qualified ? '🎉 Today counts towards your streak' : 'Meet any goal to keep the streak going'}</div>
+        `;
+    }
+
+    render() {
+        if (!this.analytics) {
+            this.container.innerHTML = '<div class="goals-editor">Usage analytics aren\'t available yet.</div>';
+            return;
+        }
+
+        const goals = this.analytics.getGoals();
+        const state = this.analytics.data.streakState;
+        const inputs = Object.entries(GOAL_LABELS).map(([metric, label]) => `
+            <label class="goal-input">
+                ${label.icon} ${label.name}
+                <input type="number" min="0" max="1440" data-goal="${metric}" value="${goals[metric] || 0}">
+            </label>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="goals-editor">
+                <div class="goal-hint">A day counts when any goal above 0 is met.</div>
+                ${inputs}
+
+                <div class="goal-section-title">Today</div>
+                <div class="goal-progress">${this.renderProgress()}</div>
+
+                <div class="goal-streak">
+                    <span>🔥 ${this.analytics.data.streak} day streak</span>
+                    <span>🏅 Best ${state.longest || 0}</span>
+                    <span title="Earned every 7 goal days in a row - covers one missed day">🧊 ${state.freezes} freeze${state.freezes === 1 ? '' : 's'}</span>
+                </div>
+
+                <div class="goals-actions">
+                    <button class="goals-save">Save</button>
+                </div>
+            </div>
+
+            <style>
+                .goals-editor {
+                    font-size: 12px;
+                    font-weight: 600;
+                }
+
+                .goal-hint {
+                    color: var(--text-secondary);
+                    font-size: 11px;
+                    margin-bottom: 8px;
+                }
+
+                .goal-input {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 6px;
+                    margin-bottom: 6px;
+                }
+
+                .goal-input input {
+                    width: 70px;
+                    padding: 4px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 8px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 12px;
+                }
+
+                .goal-section-title {
+                    font-weight: 700;
+                    margin: 10px 0 4px;
+                }
+
+                .goal-progress-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 4px;
+                }
+
+                .goal-progress-row span { min-width: 80px; }
+
+                .goal-progress-bar {
+                    flex: 1;
+                    height: 8px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 6px;
+                    overflow: hidden;
+                }
+
+                .goal-progress-bar div {
+                    height: 100%;
+                    background: var(--oh-orange);
+                }
+
+                .goal-progress-row.met .goal-progress-bar div { background: var(--udu-green); }
+
+                .goal-today {
+                    font-size: 11px;
+                    color: var(--text-secondary);
+                }
+
+                .goal-streak {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 10px;
+                    margin-top: 10px;
+                }
+
+                .goals-editor button {
+                    padding: 3px 8px;
+                    font-size: 11px;
+                    margin: 0;
+                }
+
+                .goals-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    margin-top: 10px;
+                }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        const saveButton = this.container.querySelector('.goals-save');
+        if (!saveButton) return;
+
+        saveButton.addEventListener('click', () => {
+            const goals = {};
+            this.container.querySelectorAll('[data-goal]').forEach(input => {
+                goals[input.getAttribute('data-goal')] = input.value;
+            });
+            this.analytics.setGoals(goals);
+            this.render();
+            this.bindEvents();
+        });
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
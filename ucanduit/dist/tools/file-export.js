@@ -0,0 +1,33 @@
+/**
+ * File Export Helpers - ES6 Module
+ * Saves text exports (CSV, JSON) through Tauri, or as a browser download outside Tauri
+ */
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of arrays, the first one being the header
+export function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Returns where the file ended up (full path in Tauri, file name for downloads)
+export async function saveTextFile(filename, contents, mimeType = 'text/plain') {
+    if (window.__TAURI__ && window.__TAURI__.core) {
+        return await window.__TAURI__.core.invoke('write_text_file', { filename, contents });
+    }
+
+    // Browser fallback: trigger a download
+    const blob = new Blob([contents], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return filename;
+}
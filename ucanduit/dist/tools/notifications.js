@@ -0,0 +1,260 @@
+/**
+ * Notification Service - ES6 Module
+ * One place for native desktop notifications: permission handling, timer /
+ * break / achievement notifications with actions, and do-not-disturb.
+ * Uses the Tauri notification plugin when present, the Web Notification API otherwise.
+ * The plugin only draws action buttons on mobile; on desktop, clicking a notification
+ * brings the app forward and it offers the same actions in a prompt.
+ */
+
+import { storage } from './storage.js';
+
+const SETTINGS_KEY = 'notifications';
+const ACTION_PROMPT_WINDOW_MS = 2 * 60 * 1000; // A click this long after a notification still offers its actions
+const ACTION_PROMPT_LINGER_MS = 30000;
+const IS_MOBILE = /Android|iPhone|iPad/i.test(navigator.userAgent);
+
+// Notification actions - registered once with the plugin on mobile, referenced by type id.
+// The titles also label the buttons of the desktop prompt.
+const ACTION_TYPES = [
+    {
+        id: 'focus-complete',
+        actions: [
+            { id: 'start-break', title: 'Start break', foreground: true },
+            { id: 'snooze', title: 'Snooze 5 min' }
+        ]
+    },
+    {
+        id: 'timer-complete',
+        actions: [
+            { id: 'snooze', title: 'Snooze 5 min' }
+        ]
+    }
+];
+
+class NotificationService {
+    constructor() {
+        this.settings = { doNotDisturb: false };
+        this.permission = 'default'; // 'granted' | 'denied' | 'default' | 'unsupported'
+        this.actionHandlers = {}; // action id -> callback from the latest notification using it
+        this.nativeActions = false; // Whether the notifications show the action buttons themselves
+        this.pendingPrompt = null; // { title, type, actions, expiresAt } for the desktop prompt
+        this.promptTimeout = null;
+        window.addEventListener('focus', () => this.showPendingPrompt());
+        this.ready = this.initialize();
+    }
+
+    get plugin() {
+        return window.__TAURI__ && window.__TAURI__.notification ? window.__TAURI__.notification : null;
+    }
+
+    async initialize() {
+        this.settings = { ...this.settings, ...await this.loadSettings() };
+        this.permission = await this.checkPermission();
+        await this.registerNativeActions();
+        console.log(`🔔 Notifications ready (permission: ${this.permission}, DND: ${this.settings.doNotDisturb})`);
+    }
+
+    async checkPermission() {
+        try {
+            if (this.plugin) {
+                return await this.plugin.isPermissionGranted() ? 'granted' : 'default';
+            }
+            if ('Notification' in window) {
+                return Notification.permission;
+            }
+        } catch (error) {
+            console.log('Could not check notification permission:', error);
+        }
+        return 'unsupported';
+    }
+
+    // Ask once, from a user action (e.g. starting a timer) - a denial is remembered, not re-asked
+    async requestPermission() {
+        await this.ready;
+        if (this.permission !== 'default') {
+            return this.permission;
+        }
+
+        try {
+            if (this.plugin) {
+                this.permission = await this.plugin.requestPermission();
+            } else if ('Notification' in window) {
+                this.permission = await Notification.requestPermission();
+            }
+        } catch (error) {
+            console.log('Notification permission request failed:', error);
+            this.permission = 'denied';
+        }
+        return this.permission;
+    }
+
+    async registerNativeActions() {
+        if (!this.plugin || !IS_MOBILE) return;
+
+        try {
+            await this.plugin.registerActionTypes(ACTION_TYPES);
+            await this.plugin.onAction((event) => {
+                const handler = this.actionHandlers[event.actionId];
+                if (handler) {
+                    handler();
+                }
+            });
+            this.nativeActions = true;
+        } catch (error) {
+            // Falls back to the in-app prompt, same as desktop
+            console.log('Notification actions unavailable:', error);
+        }
+    }
+
+    get doNotDisturb() {
+        return this.settings.doNotDisturb;
+    }
+
+    async setDoNotDisturb(enabled) {
+        this.settings.doNotDisturb = !!enabled;
+        await this.saveSettings();
+    }
+
+    /**
+     * Send a native notification
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} [options.body]
+     * @param {string} [options.type] - action type id from ACTION_TYPES
+     * @param {Object} [options.actions] - action id -> callback for the buttons of that type
+     * @returns {Promise<boolean>} whether a notification was shown
+     */
+    async notify({ title, body = '', type = null, actions = {} }) {
+        await this.ready;
+
+        if (this.settings.doNotDisturb) {
+            console.log(`🔕 Do not disturb - skipped notification: ${title}`);
+            return false;
+        }
+        if (this.permission !== 'granted') {
+            return false;
+        }
+
+        Object.assign(this.actionHandlers, actions);
+        // With the app in front the in-app alarm already offers the actions
+        if (!this.nativeActions && type && !document.hasFocus()) {
+            this.pendingPrompt = { title, type, actions, expiresAt: Date.now() + ACTION_PROMPT_WINDOW_MS };
+        }
+
+        try {
+            if (this.plugin) {
+                const options = { title, body };
+                if (type) {
+                    options.actionTypeId = type;
+                }
+                this.plugin.sendNotification(options);
+            } else {
+                const notification = new Notification(title, { body, icon: '/icon.png', tag: type || undefined });
+                notification.onclick = () => window.focus();
+            }
+            return true;
+        } catch (error) {
+            console.log('Could not show notification:', error);
+            return false;
+        }
+    }
+
+    // Desktop stand-in for action buttons: the first time the app comes forward after a
+    // notification with actions (clicking it does that), offer them in a prompt
+    showPendingPrompt() {
+        const pending = this.pendingPrompt;
+        this.pendingPrompt = null;
+        if (!pending || Date.now() > pending.expiresAt) return;
+        if (document.getElementById('alarm-banner')) return; // Still ringing - the banner has the same buttons
+
+        const actionType = ACTION_TYPES.find(actionType => actionType.id === pending.type);
+        const buttons = (actionType ? actionType.actions : []).filter(action => pending.actions[action.id]);
+        if (buttons.length === 0) return;
+
+        this.ensurePromptStyles();
+        this.hidePrompt();
+
+        const prompt = document.createElement('div');
+        prompt.className = 'notification-prompt';
+        prompt.id = 'notification-prompt';
+        prompt.innerHTML = `
+            <span class="notification-prompt-label"></span>
+            ${buttons.map(action => `<button class="notification-prompt-action" data-action="${action.id}"></button>`).join('')}
+            <button class="notification-prompt-dismiss" title="Dismiss">✕</button>
+        `;
+        prompt.querySelector('.notification-prompt-label').textContent = pending.title;
+        prompt.querySelectorAll('.notification-prompt-action').forEach(button => {
+            const action = buttons.find(action => action.id === button.getAttribute('data-action'));
+            button.textContent = action.title;
+            button.addEventListener('click', () => {
+                this.hidePrompt();
+                pending.actions[action.id]();
+            });
+        });
+        prompt.querySelector('.notification-prompt-dismiss').addEventListener('click', () => this.hidePrompt());
+        document.body.appendChild(prompt);
+
+        this.promptTimeout = setTimeout(() => this.hidePrompt(), ACTION_PROMPT_LINGER_MS);
+    }
+
+    hidePrompt() {
+        if (this.promptTimeout) {
+            clearTimeout(this.promptTimeout);
+            this.promptTimeout = null;
+        }
+        const prompt = document.getElementById('notification-prompt');
+        if (prompt) prompt.remove();
+    }
+
+    ensurePromptStyles() {
+        if (document.getElementById('notification-prompt-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'notification-prompt-styles';
+        style.textContent = `
+            .notification-prompt {
+                position: fixed;
+                top: 8px;
+                left: 50%;
+                transform: translateX(-50%);
+                z-index: 3000;
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                flex-wrap: wrap;
+                justify-content: center;
+                max-width: calc(100% - 16px);
+                padding: 6px 10px;
+                background: var(--primary);
+                color: white;
+                border: 2px solid var(--not-black);
+                border-radius: 15px;
+                font-weight: 700;
+                font-size: 12px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            }
+
+            .notification-prompt button {
+                padding: 3px 10px;
+                margin: 0;
+                font-size: 11px;
+                border-width: 2px;
+                color: white;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    async loadSettings() {
+        return await storage.get(SETTINGS_KEY, {});
+    }
+
+    saveSettings() {
+        return storage.set(SETTINGS_KEY, { ...this.settings }, { debounce: 0 });
+    }
+}
+
+// Shared instance - also exposed on window for the do-not-disturb menu in index.html
+export const notificationService = new NotificationService();
+window.notificationService = notificationService;
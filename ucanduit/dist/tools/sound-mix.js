@@ -0,0 +1,29 @@
+/**
+ * Sound Mix - ES6 Module
+ * Slider levels (0-100 by sound name) of the focus noise and ambient tools, each
+ * saved under the tool's own storage key
+ */
+
+import { storage } from './storage.js';
+
+export function saveMixLevel(tool, mixKey, soundName, volume) {
+    tool.mix[soundName] = volume;
+    storage.set(mixKey, tool.mix);
+}
+
+// Show the slider levels from the last run in a freshly opened tool. Nothing plays
+// until a slider is moved, so opening the app never starts sound by itself
+export async function restoreSavedMix(tool, mixKey) {
+    const saved = await storage.get(mixKey, {});
+    for (const [soundName, volume] of Object.entries(saved)) {
+        // Skip sounds that are gone, silent, or already moved while loading
+        if (!tool.soundConfigs[soundName] || !(volume > 0) || soundName in tool.mix) continue;
+
+        const slider = tool.container.querySelector(`[data-sound="${soundName}"]`);
+        if (slider) {
+            slider.value = volume;
+            slider.style.setProperty('--thumb-scale', 1 + (volume / 100) * 0.5);
+        }
+    }
+    tool.mix = { ...saved, ...tool.mix };
+}
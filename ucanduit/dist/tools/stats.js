@@ -0,0 +1,483 @@
+/**
+ * Stats Tool - ES6 Module
+ * Dashboard over the UsageAnalytics data: daily and weekly focus minutes,
+ * todos created vs completed, the usage streak, unlocked achievements and a
+ * year-long activity heatmap, drawn on canvas with the app's theme colours
+ */
+
+import { ActivityHeatmap } from './activity-heatmap.js';
+
+const REFRESH_INTERVAL = 30000;
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+export class StatsTool {
+    constructor(container) {
+        this.container = container;
+        this.refreshInterval = null;
+        this.heatmap = null;
+        this.resizeHandler = () => this.drawCharts();
+        this.importHandler = () => this.refresh();
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.render();
+        this.heatmap = new ActivityHeatmap(this.container.querySelector('.stats-heatmap'), {
+            getDayStats: (date) => this.getDayStats(date)
+        });
+        this.bindEvents();
+        this.refresh();
+        this.refreshInterval = setInterval(() => this.refresh(), REFRESH_INTERVAL);
+    }
+
+    get analytics() {
+        return window.usageAnalytics && window.usageAnalytics.data ? window.usageAnalytics : null;
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="stats-container" style="padding: 10px; font-family: 'Quicksand', sans-serif; color: var(--text-primary);">
+                <div class="stats-tiles">
+                    <div class="stats-tile">
+                        <span class="stats-tile-value" data-stat="today">0</span>
+                        <span class="stats-tile-label">min today</span>
+                    </div>
+                    <div class="stats-tile">
+                        <span class="stats-tile-value" data-stat="week">0</span>
+                        <span class="stats-tile-label">min this week</span>
+                    </div>
+                    <div class="stats-tile">
+                        <span class="stats-tile-value" data-stat="streak">0</span>
+                        <span class="stats-tile-label">day streak</span>
+                    </div>
+                    <div class="stats-tile">
+                        <span class="stats-tile-value" data-stat="achievements">0</span>
+                        <span class="stats-tile-label">achievements</span>
+                    </div>
+                </div>
+
+                <div class="stats-charts">
+                    <div class="stats-chart">
+                        <div class="stats-chart-title">Focus minutes · last 7 days</div>
+                        <canvas class="stats-canvas" data-chart="daily-focus"></canvas>
+                    </div>
+                    <div class="stats-chart">
+                        <div class="stats-chart-title">Focus minutes · last 8 weeks</div>
+                        <canvas class="stats-canvas" data-chart="weekly-focus"></canvas>
+                    </div>
+                    <div class="stats-chart">
+                        <div class="stats-chart-title">
+                            Todos · <span class="stats-legend-created">created</span> vs <span class="stats-legend-completed">completed</span>
+                        </div>
+                        <canvas class="stats-canvas" data-chart="todos"></canvas>
+                    </div>
+                    <div class="stats-chart stats-chart-heatmap">
+                        <div class="stats-chart-title">Activity · last 365 days</div>
+                        <div class="stats-heatmap"></div>
+                    </div>
+                    <div class="stats-chart">
+                        <div class="stats-chart-title">
+                            Goal days · last 14 · <span class="stats-legend-frozen">🧊 frozen</span>
+                        </div>
+                        <canvas class="stats-canvas stats-canvas-short" data-chart="streak"></canvas>
+                    </div>
+                    <div class="stats-chart">
+                        <div class="stats-chart-title">Achievements</div>
+                        <div class="stats-achievements">
+                            <canvas class="stats-canvas stats-canvas-ring" data-chart="achievements"></canvas>
+                            <div class="stats-achievement-list"></div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="stats-empty" style="display: none;">
+                    Usage analytics aren't available yet.
+                </div>
+            </div>
+
+            <style>
+                .stats-tiles {
+                    display: grid;
+                    grid-template-columns: repeat(4, 1fr);
+                    gap: 6px;
+                    margin-bottom: 10px;
+                }
+
+                .stats-tile {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    padding: 6px 4px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 10px;
+                    background: var(--translucent-bg);
+                }
+
+                .stats-tile-value {
+                    font-size: 18px;
+                    font-weight: 700;
+                }
+
+                .stats-tile-label {
+                    font-size: 10px;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                    text-align: center;
+                }
+
+                .stats-charts {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                }
+
+                .stats-chart-title {
+                    font-size: 11px;
+                    font-weight: 700;
+                    color: var(--text-secondary);
+                    margin-bottom: 4px;
+                }
+
+                .stats-legend-created { color: var(--candu-blue); }
+                .stats-legend-completed { color: var(--udu-green); }
+                .stats-legend-frozen { color: var(--candu-blue); }
+
+                .stats-canvas {
+                    display: block;
+                    width: 100%;
+                    height: 80px;
+                }
+
+                .stats-canvas-short { height: 24px; }
+
+                .stats-achievements {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                }
+
+                .stats-canvas-ring {
+                    width: 64px;
+                    height: 64px;
+                    flex-shrink: 0;
+                }
+
+                .stats-achievement-list {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    font-size: 18px;
+                }
+
+                .stats-achievement-list .locked {
+                    filter: grayscale(1);
+                    opacity: 0.3;
+                }
+
+                .stats-empty {
+                    font-size: 12px;
+                    color: var(--text-secondary);
+                    text-align: center;
+                    padding: 10px;
+                }
+
+                /* Responsive adjustments */
+                @media (max-height: 250px) {
+                    .stats-container { padding: 4px !important; display: flex; gap: 8px; overflow-x: auto; }
+                    .stats-tiles { grid-template-columns: repeat(2, 70px); margin-bottom: 0; }
+                    .stats-tile { padding: 3px; }
+                    .stats-tile-value { font-size: 14px; }
+                    .stats-charts { flex-direction: row; }
+                    .stats-chart { width: 160px; flex-shrink: 0; }
+                    .stats-chart-heatmap { width: 420px; }
+                    .stats-canvas { height: 60px; }
+                    .stats-canvas-short { height: 20px; }
+                    .stats-canvas-ring { width: 48px; height: 48px; }
+                    .stats-achievement-list { font-size: 14px; }
+                }
+
+                @media (max-width: 250px) {
+                    .stats-tiles { grid-template-columns: repeat(2, 1fr); }
+                    .stats-tile-value { font-size: 15px; }
+                    .stats-achievements { flex-direction: column; }
+                }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        window.addEventListener('resize', this.resizeHandler);
+        window.addEventListener('analytics-imported', this.importHandler);
+    }
+
+    refresh() {
+        const hasData = !!this.analytics;
+        this.container.querySelector('.stats-tiles').style.display = hasData ? '' : 'none';
+        this.container.querySelector('.stats-charts').style.display = hasData ? '' : 'none';
+        this.container.querySelector('.stats-empty').style.display = hasData ? 'none' : 'block';
+        if (!hasData) return;
+
+        this.updateTiles();
+        this.updateAchievementList();
+        this.drawCharts();
+    }
+
+    // Data helpers
+
+    // Last `count` days, oldest first - noon avoids DST edge cases when stepping back
+    getLastDays(count) {
+        const days = [];
+        for (let i = count - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setHours(12, 0, 0, 0);
+            date.setDate(date.getDate() - i);
+            days.push(date);
+        }
+        return days;
+    }
+
+    getDayStats(date) {
+        return this.analytics.data.dailyStats[date.toDateString()] || null;
+    }
+
+    getFocusMinutes(date) {
+        const stats = this.getDayStats(date);
+        return stats ? stats.focusMinutes || 0 : 0;
+    }
+
+    // Weeks start on Monday, oldest first
+    getWeeklyFocus(weeks) {
+        const monday = new Date();
+        monday.setHours(12, 0, 0, 0);
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+        const result = [];
+        for (let w = weeks - 1; w >= 0; w--) {
+            const start = new Date(monday);
+            start.setDate(monday.getDate() - w * 7);
+
+            let minutes = 0;
+            for (let d = 0; d < 7; d++) {
+                const day = new Date(start);
+                day.setDate(start.getDate() + d);
+                minutes += this.getFocusMinutes(day);
+            }
+            result.push({ label: `${start.getMonth() + 1}/${start.getDate()}`, values: [minutes] });
+        }
+        return result;
+    }
+
+    getAchievements() {
+        return this.analytics.achievements.list().map(progress => ({
+            key: progress.id,
+            unlocked: progress.level > 0,
+            icon: progress.icon,
+            title: progress.level > 0
+                ? `${progress.tiers[progress.level - 1].title} (${progress.level}/${progress.maxLevel})`
+                : `${progress.name} - ${progress.percent}%`
+        }));
+    }
+
+    updateTiles() {
+        const week = this.getWeeklyFocus(1)[0].values[0];
+        const achievements = this.getAchievements();
+        const values = {
+            today: Math.round(this.getFocusMinutes(new Date())),
+            week: Math.round(week),
+            streak: this.analytics.data.streak || 0,
+            achievements: `${achievements.filter(a => a.unlocked).length}/${achievements.length}`
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            this.container.querySelector(`[data-stat="${key}"]`).textContent = value;
+        });
+    }
+
+    updateAchievementList() {
+        const list = this.container.querySelector('.stats-achievement-list');
+        list.innerHTML = this.getAchievements().map(achievement => `
+            <span class="${achievement.unlocked ? '' : 'locked'}" title="${this.escapeHtml(achievement.title)}${achievement.unlocked ? '' : ' (locked)'}">${this.escapeHtml(achievement.icon)}</span>
+        `).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Drawing
+
+    getColors() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+        return {
+            focus: read('--oh-orange', '#FF9B54'),
+            weekly: read('--please-purple', '#B06BFF'),
+            created: read('--candu-blue', '#3f88c5'),
+            completed: read('--udu-green', '#4ecf9d'),
+            text: read('--text-primary', '#2c3e50'),
+            muted: read('--text-secondary', '#7f8c8d')
+        };
+    }
+
+    // Sizes the backing store to the element's CSS size for crisp lines on HiDPI screens
+    prepareCanvas(canvas) {
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (!width || !height) return null; // Collapsed section - drawn again on the next refresh
+
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return { ctx, width, height };
+    }
+
+    drawCharts() {
+        if (!this.analytics) return;
+
+        const colors = this.getColors();
+        const days = this.getLastDays(7);
+        const canvas = (name) => this.container.querySelector(`[data-chart="${name}"]`);
+
+        this.drawBarChart(canvas('daily-focus'), days.map(day => ({
+            label: DAY_LABELS[day.getDay()],
+            values: [this.getFocusMinutes(day)]
+        })), [colors.focus], colors);
+
+        this.drawBarChart(canvas('weekly-focus'), this.getWeeklyFocus(8), [colors.weekly], colors);
+
+        this.drawBarChart(canvas('todos'), days.map(day => {
+            const stats = this.getDayStats(day) || {};
+            return {
+                label: DAY_LABELS[day.getDay()],
+                values: [stats.todosCreated || 0, stats.todosCompleted || 0]
+            };
+        }), [colors.created, colors.completed], colors);
+
+        this.drawStreak(canvas('streak'), colors);
+        this.drawAchievementRing(canvas('achievements'), colors);
+
+        if (this.heatmap) {
+            this.heatmap.draw();
+        }
+    }
+
+    // Grouped bar chart - each group has one bar per series colour
+    drawBarChart(canvas, groups, seriesColors, colors) {
+        const surface = this.prepareCanvas(canvas);
+        if (!surface) return;
+        const { ctx, width, height } = surface;
+
+        const labelHeight = 12;
+        const topPadding = 10;
+        const chartHeight = height - labelHeight - topPadding;
+        const max = Math.max(1, ...groups.flatMap(group => group.values));
+        const groupWidth = width / groups.length;
+        const barWidth = Math.max(2, (groupWidth * 0.7) / seriesColors.length);
+
+        ctx.font = "600 9px 'Quicksand', sans-serif";
+        ctx.textAlign = 'center';
+
+        groups.forEach((group, i) => {
+            const groupX = i * groupWidth + (groupWidth - barWidth * seriesColors.length) / 2;
+
+            group.values.forEach((value, j) => {
+                const barHeight = Math.max(value > 0 ? 2 : 0, (value / max) * chartHeight);
+                ctx.fillStyle = seriesColors[j];
+                ctx.fillRect(groupX + j * barWidth, topPadding + chartHeight - barHeight, barWidth - 1, barHeight);
+            });
+
+            ctx.fillStyle = colors.muted;
+            ctx.fillText(group.label, i * groupWidth + groupWidth / 2, height - 2);
+        });
+
+        // Scale hint - the tallest bar's value
+        ctx.textAlign = 'left';
+        ctx.fillStyle = colors.text;
+        ctx.fillText(`${Math.round(max)}`, 0, 8);
+    }
+
+    // One dot per day - filled when the daily goal was met, blue when a freeze token covered it
+    drawStreak(canvas, colors) {
+        const surface = this.prepareCanvas(canvas);
+        if (!surface) return;
+        const { ctx, width, height } = surface;
+
+        const days = this.getLastDays(14);
+        const step = width / days.length;
+        const radius = Math.min(step, height) / 2 - 2;
+
+        days.forEach((day, i) => {
+            ctx.beginPath();
+            ctx.arc(i * step + step / 2, height / 2, radius, 0, Math.PI * 2);
+            const key = day.toDateString();
+            if (this.analytics.isQualifyingDay(key)) {
+                ctx.fillStyle = colors.completed;
+                ctx.fill();
+            } else if (this.analytics.isFrozenDay(key)) {
+                ctx.fillStyle = colors.created;
+                ctx.fill();
+            } else {
+                ctx.strokeStyle = colors.muted;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+        });
+    }
+
+    drawAchievementRing(canvas, colors) {
+        const surface = this.prepareCanvas(canvas);
+        if (!surface) return;
+        const { ctx, width, height } = surface;
+
+        const achievements = this.getAchievements();
+        const unlocked = achievements.filter(a => a.unlocked).length;
+        const fraction = achievements.length ? unlocked / achievements.length : 0;
+        const lineWidth = 7;
+        const radius = Math.min(width, height) / 2 - lineWidth / 2;
+        const start = -Math.PI / 2;
+
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = colors.muted;
+        ctx.globalAlpha = 0.25;
+        ctx.beginPath();
+        ctx.arc(width / 2, height / 2, radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.globalAlpha = 1;
+        if (fraction > 0) {
+            ctx.strokeStyle = colors.focus;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.arc(width / 2, height / 2, radius, start, start + fraction * Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = colors.text;
+        ctx.font = "700 12px 'Quicksand', sans-serif";
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${unlocked}/${achievements.length}`, width / 2, height / 2);
+    }
+
+    destroy() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+        window.removeEventListener('resize', this.resizeHandler);
+        window.removeEventListener('analytics-imported', this.importHandler);
+        if (this.heatmap) {
+            this.heatmap.destroy();
+            this.heatmap = null;
+        }
+        this.container.innerHTML = '';
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * Storage Service - ES6 Module
+ * The one persistence layer every tool uses. A key like 'todos' is stored as
+ * ucanduit-todos.json in the app data directory through Tauri (written atomically
+ * by write_json_file), or as the 'ucanduit-todos' localStorage entry outside Tauri
+ * or when the file write fails. Writes are debounced so bursts of changes become
+ * one write, and anything still pending is flushed on beforeunload.
+ */
+
+const KEY_PREFIX = 'ucanduit-';
+const DEFAULT_DEBOUNCE = 500;
+
+class StorageService {
+    constructor() {
+        this.cache = new Map();       // key -> latest value (read or written)
+        this.pending = new Map();     // key -> { timer, promise, resolve } for a scheduled write
+        this.writes = new Map();      // key -> promise chain of writes, one at a time per key
+        this.subscribers = new Map(); // key -> Set of callbacks
+
+        window.addEventListener('beforeunload', () => this.flush());
+    }
+
+    get tauri() {
+        return window.__TAURI__ && window.__TAURI__.core ? window.__TAURI__.core : null;
+    }
+
+    fileName(key) {
+        return `${KEY_PREFIX}${key}.json`;
+    }
+
+    localKey(key) {
+        return `${KEY_PREFIX}${key}`;
+    }
+
+    /**
+     * Read a stored value - the data file first, then localStorage (copied into the file once)
+     * @param {string} key
+     * @param {*} [fallback] - returned when nothing is stored
+     */
+    async get(key, fallback = null) {
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const value = await this.read(key);
+        // A set() may have landed while the read was in flight - it wins
+        if (!this.cache.has(key) && value !== null) {
+            this.cache.set(key, value);
+        }
+        return this.cache.has(key) ? this.cache.get(key) : fallback;
+    }
+
+    async read(key) {
+        try {
+            if (this.tauri) {
+                const fileData = await this.tauri.invoke('read_json_file', { filename: this.fileName(key) });
+                if (fileData !== null && fileData !== undefined) {
+                    return fileData;
+                }
+            }
+        } catch (error) {
+            console.log(`📄 No ${this.fileName(key)} found or Tauri unavailable, checking localStorage`);
+        }
+
+        try {
+            const saved = localStorage.getItem(this.localKey(key));
+            if (saved === null) return null;
+
+            const value = JSON.parse(saved);
+            if (this.tauri) {
+                try {
+                    await this.tauri.invoke('write_json_file', { filename: this.fileName(key), data: value });
+                    console.log(`🔄 Migrated ${key} from localStorage to external file`);
+                } catch (migrateError) {
+                    console.warn(`Could not migrate ${key} to external file:`, migrateError);
+                }
+            }
+            return value;
+        } catch (error) {
+            console.error(`❌ Failed to load ${key} from localStorage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a value. Subscribers hear about it right away, the write itself is
+     * debounced - calls within the window coalesce into one write of the latest value.
+     * @param {string} key
+     * @param {*} value - anything JSON-serialisable
+     * @param {Object} [options]
+     * @param {number} [options.debounce] - ms to wait for further changes, 0 writes now
+     * @returns {Promise<void>} resolves once the value is written
+     */
+    set(key, value, { debounce = DEFAULT_DEBOUNCE } = {}) {
+        this.cache.set(key, value);
+        this.notify(key, value);
+
+        let entry = this.pending.get(key);
+        if (!entry) {
+            entry = {};
+            entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+            this.pending.set(key, entry);
+        }
+
+        clearTimeout(entry.timer);
+        if (debounce > 0) {
+            entry.timer = setTimeout(() => this.flush(key), debounce);
+        } else {
+            this.flush(key);
+        }
+        return entry.promise;
+    }
+
+    /**
+     * Write pending changes now - one key, or all of them
+     * @param {string} [key]
+     */
+    flush(key) {
+        if (key === undefined) {
+            return Promise.all([...this.pending.keys()].map(pendingKey => this.flush(pendingKey)));
+        }
+
+        const entry = this.pending.get(key);
+        if (!entry) {
+            return this.writes.get(key) || Promise.resolve();
+        }
+        clearTimeout(entry.timer);
+        this.pending.delete(key);
+
+        // Serialise at flush time so later in-place edits wait for the next set()
+        const json = JSON.stringify(this.cache.get(key));
+        const previous = this.writes.get(key) || Promise.resolve();
+        const write = previous.then(() => this.write(key, json));
+        this.writes.set(key, write);
+
+        write.then(() => {
+            if (this.writes.get(key) === write) {
+                this.writes.delete(key);
+            }
+            entry.resolve();
+        });
+        return write;
+    }
+
+    async write(key, json) {
+        try {
+            if (this.tauri) {
+                await this.tauri.invoke('write_json_file', { filename: this.fileName(key), data: JSON.parse(json) });
+            } else {
+                localStorage.setItem(this.localKey(key), json);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save ${key} to file, using localStorage fallback:`, error);
+            try {
+                localStorage.setItem(this.localKey(key), json);
+            } catch (localError) {
+                console.error(`❌ Failed to save ${key} to localStorage:`, localError);
+            }
+        }
+    }
+
+    /**
+     * Be told whenever a key is set (by any tool)
+     * @param {string} key
+     * @param {Function} callback - (value, key) => void
+     * @returns {Function} unsubscribe
+     */
+    subscribe(key, callback) {
+        if (!this.subscribers.has(key)) {
+            this.subscribers.set(key, new Set());
+        }
+        this.subscribers.get(key).add(callback);
+        return () => this.subscribers.get(key).delete(callback);
+    }
+
+    notify(key, value) {
+        const callbacks = this.subscribers.get(key);
+        if (!callbacks) return;
+
+        callbacks.forEach(callback => {
+            try {
+                callback(value, key);
+            } catch (error) {
+                console.error(`❌ Storage subscriber for ${key} failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Scoped view for one tool - namespace('analytics').set('backup-v0', data)
+     * stores under 'analytics-backup-v0'; an empty key is the namespace itself
+     * @param {string} namespace
+     */
+    namespace(namespace) {
+        const scoped = (key = '') => key ? `${namespace}-${key}` : namespace;
+        return {
+            get: (key, fallback) => this.get(scoped(key), fallback),
+            set: (key, value, options) => this.set(scoped(key), value, options),
+            flush: (key) => this.flush(scoped(key)),
+            subscribe: (key, callback) => this.subscribe(scoped(key), callback)
+        };
+    }
+}
+
+// Shared instance - every tool reads and writes through this one
+export const storage = new StorageService();
@@ -0,0 +1,287 @@
+/**
+ * Themes - ES6 Module
+ * Visual themes for the animated background and OssC: a colour palette, a ring
+ * style and a breathing pattern. Most unlock from achievements or XP; the chosen
+ * theme is saved and applied at startup through window.applyVisualTheme().
+ */
+
+import { storage } from './storage.js';
+import { BUILT_IN_ACHIEVEMENTS } from './achievements.js';
+
+const THEME_KEY = 'visual-theme';
+export const DEFAULT_THEME_ID = 'shuffle';
+
+// Breathing circle motion - speed range per frame and how far each circle swells
+export const BREATHING_PATTERNS = {
+    steady: { speed: [0.02, 0.05], depth: 0.3 },
+    calm: { speed: [0.01, 0.02], depth: 0.2 },
+    deep: { speed: [0.015, 0.025], depth: 0.5 },
+    lively: { speed: [0.04, 0.07], depth: 0.35 }
+};
+
+// palette: background colours (one is picked per launch)
+// circles: 'complementary' | 'analogous' colours of the background, or 'palette' itself
+// ring: 'solid' | 'dashed' | 'double' | 'glow'
+// breathing: a BREATHING_PATTERNS name, resolved into pattern for OssC
+// unlock: null (always available), { achievement, level } or { xp }
+const THEME_DEFINITIONS = [
+    {
+        id: 'shuffle',
+        name: 'Shuffle',
+        icon: '🎲',
+        palette: ['#4ecf9d', '#3f88c5', '#d72638', '#FF6B9F', '#FF9B54', '#B06BFF'],
+        circles: 'complementary',
+        ring: 'solid',
+        breathing: 'steady',
+        unlock: null
+    },
+    {
+        id: 'mint',
+        name: 'Mint',
+        icon: '🌿',
+        palette: ['#4ecf9d'],
+        circles: 'complementary',
+        ring: 'solid',
+        breathing: 'steady',
+        unlock: null
+    },
+    {
+        id: 'ocean',
+        name: 'Ocean',
+        icon: '🌊',
+        palette: ['#3f88c5', '#2ec4b6'],
+        circles: 'analogous',
+        ring: 'double',
+        breathing: 'calm',
+        unlock: { achievement: 'focusSessions', level: 2 }
+    },
+    {
+        id: 'sunset',
+        name: 'Sunset',
+        icon: '🌅',
+        palette: ['#FF9B54', '#FF6B9F'],
+        circles: 'palette',
+        ring: 'glow',
+        breathing: 'steady',
+        unlock: { achievement: 'deepFocus', level: 2 }
+    },
+    {
+        id: 'midnight',
+        name: 'Midnight',
+        icon: '🌙',
+        palette: ['#B06BFF', '#3f88c5'],
+        circles: 'palette',
+        ring: 'dashed',
+        breathing: 'deep',
+        unlock: { achievement: 'nightOwl', level: 1 }
+    },
+    {
+        id: 'ember',
+        name: 'Ember',
+        icon: '🔥',
+        palette: ['#d72638', '#FF9B54'],
+        circles: 'palette',
+        ring: 'glow',
+        breathing: 'lively',
+        unlock: { achievement: 'streak', level: 1 }
+    },
+    {
+        id: 'aurora',
+        name: 'Aurora',
+        icon: '✨',
+        palette: ['#4ecf9d', '#B06BFF', '#3f88c5'],
+        circles: 'palette',
+        ring: 'double',
+        breathing: 'deep',
+        unlock: { xp: 1500 }
+    },
+    {
+        id: 'prism',
+        name: 'Prism',
+        icon: '🌈',
+        palette: ['#4ecf9d', '#3f88c5', '#d72638', '#FF6B9F', '#FF9B54', '#B06BFF'],
+        circles: 'palette',
+        ring: 'glow',
+        breathing: 'lively',
+        unlock: { xp: 3000 }
+    }
+];
+
+export const THEMES = THEME_DEFINITIONS.map(theme => ({ ...theme, pattern: BREATHING_PATTERNS[theme.breathing] }));
+
+export function getTheme(id) {
+    return THEMES.find(theme => theme.id === id) || THEMES.find(theme => theme.id === DEFAULT_THEME_ID);
+}
+
+export function isThemeUnlocked(theme, analytics = window.usageAnalytics) {
+    if (!theme.unlock) return true;
+    if (!analytics || !analytics.achievements) return false;
+
+    if (theme.unlock.xp) {
+        return analytics.achievements.xp() >= theme.unlock.xp;
+    }
+    const progress = analytics.achievements.getProgress(theme.unlock.achievement);
+    return !!progress && progress.level >= theme.unlock.level;
+}
+
+// 'Reach 1500 XP' / 'Deep Focus: Pomodoro Pro'
+export function describeUnlock(theme) {
+    if (!theme.unlock) return 'Always available';
+    if (theme.unlock.xp) return `Reach ${theme.unlock.xp} XP`;
+
+    const achievement = BUILT_IN_ACHIEVEMENTS.find(definition => definition.id === theme.unlock.achievement);
+    const tier = achievement && achievement.tiers[theme.unlock.level - 1];
+    return achievement && tier ? `${achievement.icon} ${achievement.name}: ${tier.title}` : 'Locked';
+}
+
+export async function loadThemeChoice() {
+    const saved = await storage.get(THEME_KEY, {});
+    return getTheme(saved && saved.id);
+}
+
+export function saveThemeChoice(id) {
+    return storage.set(THEME_KEY, { id }, { debounce: 0 });
+}
+
+// Status ticker note when an achievement unlocks a theme
+export function watchThemeUnlocks() {
+    let unlocked = new Set(THEMES.filter(theme => isThemeUnlocked(theme)).map(theme => theme.id));
+
+    window.addEventListener('achievement-unlocked', () => {
+        THEMES.filter(theme => !unlocked.has(theme.id) && isThemeUnlocked(theme)).forEach(theme => {
+            console.log(`🎨 Theme unlocked: ${theme.name}`);
+            if (window.updateStatus) {
+                window.updateStatus(`🎨 New theme unlocked: ${theme.name}`, 'success', 4000);
+            }
+        });
+        unlocked = new Set(THEMES.filter(theme => isThemeUnlocked(theme)).map(theme => theme.id));
+    });
+}
+
+/**
+ * Settings editor - pick one of the unlocked themes, locked ones show what unlocks them
+ */
+export class ThemePicker {
+    constructor(container) {
+        this.container = container;
+        this.selectedId = DEFAULT_THEME_ID;
+
+        this.initialize();
+    }
+
+    async initialize() {
+        this.selectedId = (await loadThemeChoice()).id;
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        const xp = window.usageAnalytics && window.usageAnalytics.achievements ? window.usageAnalytics.achievements.xp() : 0;
+        const options = THEMES.map(theme => {
+            const unlocked = isThemeUnlocked(theme);
+            const swatches = theme.palette.map(color => `<span class="theme-swatch" style="background: ${color};"></span>`).join('');
+            return `
+                <div class="theme-option ${unlocked ? '' : 'locked'} ${theme.id === this.selectedId ? 'selected' : ''}" data-theme-id="${theme.id}">
+                    <span class="theme-icon">${unlocked ? theme.icon : '🔒'}</span>
+                    <span class="theme-info">
+                        <span>${theme.name}</span>
+                        <span class="theme-detail">${unlocked ? `${theme.ring} ring · ${theme.breathing} breathing` : describeUnlock(theme)}</span>
+                    </span>
+                    <span class="theme-swatches">${swatches}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="theme-picker">
+                <div class="theme-xp">⭐ ${xp} XP</div>
+                ${options}
+            </div>
+
+            <style>
+                .theme-picker {
+                    font-size: 12px;
+                    font-weight: 600;
+                }
+
+                .theme-xp {
+                    color: var(--text-secondary);
+                    font-size: 11px;
+                    margin-bottom: 6px;
+                }
+
+                .theme-option {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 5px 8px;
+                    margin-bottom: 5px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 10px;
+                    cursor: pointer;
+                }
+
+                .theme-option.selected {
+                    border-color: var(--udu-green);
+                    background: var(--translucent-bg);
+                }
+
+                .theme-option.locked {
+                    opacity: 0.5;
+                    cursor: default;
+                }
+
+                .theme-icon { font-size: 18px; }
+
+                .theme-info {
+                    flex: 1;
+                    display: flex;
+                    flex-direction: column;
+                    min-width: 0;
+                }
+
+                .theme-detail {
+                    font-size: 10px;
+                    color: var(--text-secondary);
+                }
+
+                .theme-swatches {
+                    display: flex;
+                    gap: 2px;
+                }
+
+                .theme-swatch {
+                    width: 10px;
+                    height: 10px;
+                    border-radius: 50%;
+                    border: 1px solid var(--text-primary);
+                }
+
+                @media (max-width: 250px) {
+                    .theme-swatches { display: none; }
+                }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('.theme-option').forEach(option => {
+            option.addEventListener('click', async () => {
+                const theme = getTheme(option.getAttribute('data-theme-id'));
+                if (!isThemeUnlocked(theme)) return;
+
+                this.selectedId = theme.id;
+                await saveThemeChoice(theme.id);
+                if (window.applyVisualTheme) {
+                    window.applyVisualTheme(theme);
+                }
+                this.render();
+                this.bindEvents();
+            });
+        });
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
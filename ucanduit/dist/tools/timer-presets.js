@@ -0,0 +1,195 @@
+/**
+ * Timer Presets - ES6 Module
+ * Named timer durations with their own completion alarm, shared by the timer
+ * panel, the status ticker and the settings editor
+ */
+
+import { loadAlarmSettings } from './alarms.js';
+import { storage } from './storage.js';
+
+export const PRESETS_KEY = 'timer-presets';
+
+export const DEFAULT_TIMER_PRESETS = [
+    { id: 'standup', name: 'Standup', minutes: 15, sound: 'chime' },
+    { id: 'deep-work', name: 'Deep work', minutes: 90, sound: 'bell' },
+    { id: 'tea', name: 'Tea', minutes: 4, sound: 'beep' }
+];
+
+// Keep presets within the same bounds TimerTool.setDuration() enforces.
+// sound is an alarm id from the alarm library ('none' for silent); unknown ids
+// fall back to the default alarm when rung.
+export function normalizePreset(preset) {
+    return {
+        id: preset.id || Date.now().toString(36) + Math.random().toString(36).substr(2),
+        name: String(preset.name || 'Untitled').trim() || 'Untitled',
+        minutes: Math.max(1, Math.min(120, parseInt(preset.minutes) || 25)),
+        sound: typeof preset.sound === 'string' && preset.sound ? preset.sound : 'beep'
+    };
+}
+
+export async function loadTimerPresets() {
+    const saved = await storage.get(PRESETS_KEY);
+    if (Array.isArray(saved)) {
+        return saved.map(normalizePreset);
+    }
+    return DEFAULT_TIMER_PRESETS.map(preset => ({ ...preset }));
+}
+
+// Open timer panels and pickers subscribe to PRESETS_KEY to refresh their lists
+export async function saveTimerPresets(presets) {
+    const normalized = presets.map(normalizePreset);
+    await storage.set(PRESETS_KEY, normalized, { debounce: 0 });
+    return normalized;
+}
+
+export function formatPresetLabel(preset) {
+    return `${preset.name} ${preset.minutes}`;
+}
+
+/**
+ * Settings editor for timer presets - rendered into a settings panel
+ */
+export class TimerPresetEditor {
+    constructor(container) {
+        this.container = container;
+        this.presets = [];
+        this.alarms = [];
+
+        this.initialize();
+    }
+
+    async initialize() {
+        this.presets = await loadTimerPresets();
+        this.alarms = (await loadAlarmSettings()).alarms;
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        const soundOptions = (selected) => [...this.alarms, { id: 'none', name: 'Silent' }].map(alarm => `
+            <option value="${alarm.id}" ${alarm.id === selected ? 'selected' : ''}>${this.escapeHtml(alarm.name)}</option>
+        `).join('');
+
+        const rows = this.presets.map((preset, index) => `
+            <div class="preset-row" data-index="${index}">
+                <input type="text" class="preset-name" value="${this.escapeHtml(preset.name)}" placeholder="Name">
+                <input type="number" class="preset-minutes" min="1" max="120" value="${preset.minutes}">
+                <select class="preset-sound">${soundOptions(preset.sound)}</select>
+                <button class="preset-delete" title="Delete preset">✕</button>
+            </div>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="preset-editor">
+                ${rows || '<div class="preset-empty">No presets yet</div>'}
+                <div class="preset-actions">
+                    <button class="preset-add">+ Add</button>
+                    <button class="preset-save">Save</button>
+                </div>
+            </div>
+
+            <style>
+                .preset-row {
+                    display: flex;
+                    gap: 6px;
+                    align-items: center;
+                    margin-bottom: 6px;
+                }
+
+                .preset-row input, .preset-row select {
+                    padding: 4px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 8px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 12px;
+                    min-width: 0;
+                }
+
+                .preset-name { flex: 1; }
+                .preset-minutes { width: 52px; text-align: center; }
+
+                .preset-editor button {
+                    padding: 4px 10px;
+                    font-size: 11px;
+                    margin: 0;
+                }
+
+                .preset-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 6px;
+                    margin-top: 10px;
+                }
+
+                .preset-empty {
+                    text-align: center;
+                    color: var(--text-secondary);
+                    padding: 10px;
+                }
+
+                @media (max-width: 250px) {
+                    .preset-row { flex-wrap: wrap; }
+                    .preset-name { flex-basis: 100%; }
+                }
+            </style>
+        `;
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('.preset-row').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'));
+            row.querySelector('.preset-delete').addEventListener('click', () => {
+                this.collectInputs();
+                this.presets.splice(index, 1);
+                this.render();
+                this.bindEvents();
+            });
+        });
+
+        this.container.querySelector('.preset-add').addEventListener('click', () => {
+            this.collectInputs();
+            this.presets.push(normalizePreset({ name: 'New preset', minutes: 25, sound: 'beep' }));
+            this.render();
+            this.bindEvents();
+            const names = this.container.querySelectorAll('.preset-name');
+            if (names.length > 0) names[names.length - 1].select();
+        });
+
+        this.container.querySelector('.preset-save').addEventListener('click', async () => {
+            this.collectInputs();
+            this.presets = await saveTimerPresets(this.presets);
+            this.render();
+            this.bindEvents();
+
+            if (window.updateStatus) {
+                window.updateStatus('Timer presets saved', 'success', 2000);
+            }
+        });
+    }
+
+    // Copy edited input values back into the preset list
+    collectInputs() {
+        this.container.querySelectorAll('.preset-row').forEach(row => {
+            const index = parseInt(row.getAttribute('data-index'));
+            this.presets[index] = normalizePreset({
+                id: this.presets[index].id,
+                name: row.querySelector('.preset-name').value,
+                minutes: row.querySelector('.preset-minutes').value,
+                sound: row.querySelector('.preset-sound').value
+            });
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
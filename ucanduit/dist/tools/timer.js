@@ -0,0 +1,1746 @@
+/**
+ * Timer Tool - ES6 Module
+ * Handles countdown timer functionality with visual feedback
+ * Countdown, Pomodoro and stopwatch modes, with extra labelled timers alongside
+ */
+
+import { loadTimerPresets, formatPresetLabel, PRESETS_KEY } from './timer-presets.js';
+import { toCsv, saveTextFile } from './file-export.js';
+import { alarmPlayer } from './alarms.js';
+import { notificationService } from './notifications.js';
+import { flattenItems } from './todo-reminders.js';
+import { storage } from './storage.js';
+
+const TIMER_STATE_KEY = 'timer';
+const TODOS_KEY = 'todos'; // Saved by the todo tool, read for the intent picker
+
+const PHASE_LABELS = {
+    work: 'Focus',
+    shortBreak: 'Short Break',
+    longBreak: 'Long Break'
+};
+
+const PHASE_ICONS = {
+    work: '🍅',
+    shortBreak: '☕',
+    longBreak: '🌿'
+};
+
+// Independent labelled countdown kept alongside the main timer
+class LabelledTimer {
+    constructor({ id, label, totalSeconds, remainingSeconds, endTime }) {
+        this.id = id || Date.now().toString(36) + Math.random().toString(36).substr(2);
+        this.label = label || 'Timer';
+        this.totalSeconds = totalSeconds;
+        this.remainingSeconds = Number.isFinite(remainingSeconds) ? remainingSeconds : totalSeconds;
+        this.endTime = endTime || null; // Wall-clock deadline (ms) while running
+    }
+    
+    get isRunning() {
+        return this.endTime !== null;
+    }
+    
+    getRemaining() {
+        if (!this.endTime) return this.remainingSeconds;
+        return Math.max(0, Math.ceil((this.endTime - Date.now()) / 1000));
+    }
+    
+    start() {
+        if (this.isRunning || this.remainingSeconds === 0) return;
+        this.endTime = Date.now() + this.remainingSeconds * 1000;
+    }
+    
+    pause() {
+        if (!this.isRunning) return;
+        this.remainingSeconds = this.getRemaining();
+        this.endTime = null;
+    }
+    
+    reset() {
+        this.endTime = null;
+        this.remainingSeconds = this.totalSeconds;
+    }
+    
+    toJSON() {
+        return {
+            id: this.id,
+            label: this.label,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.getRemaining(),
+            endTime: this.endTime
+        };
+    }
+}
+
+export class TimerTool {
+    constructor(container) {
+        this.container = container;
+        this.totalSeconds = 25 * 60; // Default 25 minutes
+        this.remainingSeconds = this.totalSeconds;
+        this.isRunning = false;
+        this.intervalId = null;
+        this.displayElement = null;
+        this.autoResetTimeout = null;
+        this.startTime = null;
+        this.endTime = null; // Wall-clock deadline (ms) while running
+        this.visibilityHandler = () => this.tick();
+        
+        // Named presets (duration + completion alarm)
+        this.presets = [];
+        this.activePresetId = null;
+        this.completionSound = null; // Alarm id; null rings the default alarm
+        this.unsubscribePresets = null;
+        
+        // Stopwatch state
+        this.stopwatchStartedAt = null; // Wall-clock start (ms) of the current running stretch
+        this.stopwatchElapsedMs = 0; // Time banked before the current stretch
+        this.stopwatchLapBaseMs = 0; // Elapsed time at the previous lap of this run
+        this.stopwatchIntervalId = null;
+        this.laps = [];
+        this.logStopwatchSessions = false;
+        
+        // Extra labelled timers running alongside the main one
+        this.extraTimers = [];
+        this.extraIntervalId = null;
+        this.extraResetTimeouts = {};
+        
+        // Pomodoro cycle state
+        this.mode = 'countdown'; // 'countdown', 'pomodoro' or 'stopwatch'
+        this.phase = 'work'; // 'work', 'shortBreak' or 'longBreak'
+        this.completedWorkSessions = 0;
+        this.pomodoroSettings = {
+            workMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            longBreakInterval: 4, // Long break every N work sessions
+            autoStartNext: false
+        };
+        
+        // Focus intent for the next / current work session, and the logged
+        // session still waiting for its reflection
+        this.sessionIntent = { text: '', todoId: null, todoText: '' };
+        this.reflectionSessionId = null;
+        
+        // Current countdown session for the history log - survives pauses,
+        // ends on completion or when abandoned (reset, skip, new duration / mode)
+        this.sessionStartedAt = null;
+        this.sessionSounds = [];
+        this.pausedAt = null; // When the current session was paused
+        this.sessionPausedMs = 0;
+        this.sessionInterruptions = 0; // Pauses during the current session
+        
+        this.isDestroyed = false;
+        
+        // Resolves once saved state is loaded and the UI is rendered
+        this.ready = this.initialize();
+    }
+    
+    async initialize() {
+        await this.loadFromStorage();
+        this.presets = await loadTimerPresets();
+        this.unsubscribePresets = storage.subscribe(PRESETS_KEY, (presets) => {
+            this.presets = presets;
+            this.updatePresetSelect();
+        });
+        this.render();
+        this.bindEvents();
+        this.resumeSession();
+    }
+    
+    render() {
+        this.container.innerHTML = `
+            <div class="timer-controls timer-mode-${this.mode}" style="text-align: center;">
+                <select class="timer-mode-select" title="Timer mode" style="
+                    padding: 2px 6px;
+                    margin-bottom: 6px;
+                    border: 2px solid #2a2d34;
+                    border-radius: 8px;
+                    background: #F5F5F5;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 11px;
+                ">
+                    <option value="countdown" ${this.mode === 'countdown' ? 'selected' : ''}>Timer</option>
+                    <option value="pomodoro" ${this.mode === 'pomodoro' ? 'selected' : ''}>Pomodoro</option>
+                    <option value="stopwatch" ${this.mode === 'stopwatch' ? 'selected' : ''}>Stopwatch</option>
+                </select>
+                <div class="timer-phase" style="
+                    display: ${this.mode === 'pomodoro' ? 'block' : 'none'};
+                    font-size: 12px;
+                    font-weight: 700;
+                    color: #2a2d34;
+                    margin-bottom: 4px;
+                    font-family: 'Quicksand', sans-serif;
+                ">${this.getPhaseIndicatorText()}</div>
+                <div class="timer-display" id="timer-display-${this.id}" style="
+                    font-size: 24px;
+                    font-weight: 700;
+                    color: #2a2d34;
+                    margin-bottom: 10px;
+                    font-family: 'Quicksand', monospace;
+                ">${this.formatTime(this.getDisplaySeconds())}</div>
+                <div class="timer-intent">
+                    <input type="text" class="timer-intent-input" maxlength="80" placeholder="What are you focusing on?" value="${this.escapeHtml(this.sessionIntent.text)}">
+                    <select class="timer-intent-todo" title="Link a todo">
+                        <option value="">📝 Todo</option>
+                    </select>
+                </div>
+                <div class="timer-buttons" style="
+                    display: flex;
+                    gap: 10px;
+                    align-items: center;
+                    justify-content: center;
+                    flex-wrap: wrap;
+                ">
+                    <button class="timer-start-btn">Start</button>
+                    <button class="timer-pause-btn">Pause</button>
+                    <button class="timer-reset-btn">Reset</button>
+                    <button class="timer-skip-btn" style="display: ${this.mode === 'pomodoro' ? 'inline-block' : 'none'};">Skip</button>
+                    <select class="timer-preset-select" title="Timer preset" style="
+                        padding: 5px;
+                        border: 2px solid #2a2d34;
+                        border-radius: 8px;
+                        background: #F5F5F5;
+                        font-family: 'Quicksand', sans-serif;
+                        font-weight: 600;
+                        max-width: 130px;
+                    ">${this.renderPresetOptions()}</select>
+                    <input type="number" class="timer-minutes-input" min="1" max="120" value="${Math.round(this.totalSeconds / 60)}" 
+                           placeholder="min" style="
+                        display: ${this.mode === 'pomodoro' ? 'none' : 'inline-block'};
+                        width: 60px;
+                        padding: 5px;
+                        border: 2px solid #2a2d34;
+                        border-radius: 8px;
+                        background: #F5F5F5;
+                        font-family: 'Quicksand', sans-serif;
+                        font-weight: 600;
+                        text-align: center;
+                    ">
+                </div>
+                <div class="timer-reflection" style="display: ${this.reflectionSessionId ? 'block' : 'none'};">
+                    <div class="timer-reflection-title">How did it go?</div>
+                    <div class="timer-rating">
+                        ${[1, 2, 3, 4, 5].map(rating => `<button class="timer-rating-btn" data-rating="${rating}" title="${rating}/5">★</button>`).join('')}
+                    </div>
+                    <input type="text" class="timer-reflection-note" maxlength="200" placeholder="Note (optional)">
+                    <div class="timer-reflection-actions">
+                        <button class="timer-reflection-save">Save</button>
+                        <button class="timer-reflection-skip">Skip</button>
+                    </div>
+                </div>
+                <div class="stopwatch-controls">
+                    <div class="stopwatch-buttons" style="
+                        display: flex;
+                        gap: 10px;
+                        align-items: center;
+                        justify-content: center;
+                        flex-wrap: wrap;
+                    ">
+                        <button class="stopwatch-toggle-btn">${this.isStopwatchRunning() ? 'Pause' : 'Start'}</button>
+                        <button class="stopwatch-lap-btn">Lap</button>
+                        <button class="stopwatch-stop-btn">Stop</button>
+                        <input type="text" class="stopwatch-lap-label" placeholder="Lap label (optional)">
+                    </div>
+                    <label class="stopwatch-log-option">
+                        <input type="checkbox" class="stopwatch-log-checkbox" ${this.logStopwatchSessions ? 'checked' : ''}>
+                        Log as focus session when stopped
+                    </label>
+                    <div class="stopwatch-laps">${this.renderLaps()}</div>
+                    <div class="stopwatch-lap-actions" style="display: ${this.laps.length > 0 ? 'flex' : 'none'};">
+                        <button class="stopwatch-clear-btn">Clear laps</button>
+                        <button class="stopwatch-export-btn">Export CSV</button>
+                    </div>
+                </div>
+                <div class="timer-pomodoro-settings" style="
+                    display: ${this.mode === 'pomodoro' ? 'flex' : 'none'};
+                    gap: 6px;
+                    align-items: center;
+                    justify-content: center;
+                    flex-wrap: wrap;
+                    margin-top: 6px;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: #2a2d34;
+                ">
+                    <label>Work <input type="number" class="pomodoro-input" data-setting="workMinutes" min="1" max="120" value="${this.pomodoroSettings.workMinutes}"></label>
+                    <label>Short <input type="number" class="pomodoro-input" data-setting="shortBreakMinutes" min="1" max="60" value="${this.pomodoroSettings.shortBreakMinutes}"></label>
+                    <label>Long <input type="number" class="pomodoro-input" data-setting="longBreakMinutes" min="1" max="60" value="${this.pomodoroSettings.longBreakMinutes}"></label>
+                    <label>Every <input type="number" class="pomodoro-input" data-setting="longBreakInterval" min="1" max="12" value="${this.pomodoroSettings.longBreakInterval}"></label>
+                    <label><input type="checkbox" class="pomodoro-autostart" ${this.pomodoroSettings.autoStartNext ? 'checked' : ''}> Auto-start</label>
+                </div>
+                <div class="extra-timers">
+                    <div class="extra-timers-list">${this.renderExtraTimers()}</div>
+                    <div class="extra-timer-add-row">
+                        <input type="text" class="extra-timer-label" placeholder="Label (e.g. Laundry)">
+                        <input type="number" class="extra-timer-minutes" min="1" max="720" value="10" title="Minutes">
+                        <button class="extra-timer-add-btn">+ Timer</button>
+                    </div>
+                </div>
+            </div>
+            
+            <style>
+                .timer-controls button {
+                    background: rgba(255, 255, 255, 0.2) !important;
+                    color: #2a2d34 !important;
+                    border: 3px solid #2a2d34 !important;
+                    padding: 10px 20px !important;
+                    border-radius: 20px !important;
+                    margin: 5px !important;
+                    cursor: pointer !important;
+                    font-weight: 700 !important;
+                    font-family: 'Quicksand', sans-serif !important;
+                    transition: all 0.2s ease !important;
+                    backdrop-filter: blur(10px) !important;
+                    -webkit-backdrop-filter: blur(10px) !important;
+                }
+                
+                .pomodoro-input {
+                    width: 42px;
+                    padding: 2px;
+                    border: 2px solid #2a2d34;
+                    border-radius: 6px;
+                    background: #F5F5F5;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    text-align: center;
+                }
+                
+                .timer-intent {
+                    display: flex;
+                    gap: 4px;
+                    justify-content: center;
+                    margin-bottom: 6px;
+                }
+                
+                .timer-intent input, .timer-intent select, .timer-reflection-note {
+                    padding: 4px;
+                    border: 2px solid #2a2d34;
+                    border-radius: 8px;
+                    background: #F5F5F5;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 11px;
+                    min-width: 0;
+                }
+                
+                .timer-intent-input { flex: 1; max-width: 200px; }
+                .timer-intent-todo { max-width: 90px; }
+                .timer-intent input:disabled, .timer-intent select:disabled { opacity: 0.6; }
+                .timer-mode-stopwatch .timer-intent { display: none !important; }
+                
+                .timer-reflection {
+                    margin-top: 8px;
+                    padding: 6px;
+                    border: 2px solid #2a2d34;
+                    border-radius: 12px;
+                    color: #2a2d34;
+                }
+                
+                .timer-reflection-title {
+                    font-size: 12px;
+                    font-weight: 700;
+                }
+                
+                .timer-controls .timer-rating-btn {
+                    padding: 0 4px !important;
+                    margin: 2px 0 !important;
+                    border: none !important;
+                    font-size: 18px !important;
+                    color: rgba(42, 45, 52, 0.3) !important;
+                    background: none !important;
+                    box-shadow: none !important;
+                }
+                
+                .timer-controls .timer-rating-btn.selected { color: #FF9B54 !important; }
+                .timer-reflection-note { width: 90%; margin: 4px 0; }
+                
+                .timer-controls .timer-reflection-actions button {
+                    padding: 3px 10px !important;
+                    margin: 0 2px !important;
+                    font-size: 10px !important;
+                }
+                
+                .stopwatch-controls { display: none; }
+                .timer-mode-stopwatch .stopwatch-controls { display: block; }
+                .timer-mode-stopwatch .timer-buttons { display: none !important; }
+                
+                .stopwatch-lap-label {
+                    width: 130px;
+                    padding: 5px;
+                    border: 2px solid #2a2d34;
+                    border-radius: 8px;
+                    background: #F5F5F5;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 11px;
+                }
+                
+                .stopwatch-log-option {
+                    display: block;
+                    margin-top: 6px;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: #2a2d34;
+                }
+                
+                .stopwatch-laps {
+                    max-height: 140px;
+                    overflow-y: auto;
+                    margin-top: 6px;
+                }
+                
+                .stopwatch-lap-row {
+                    display: flex;
+                    gap: 8px;
+                    padding: 2px 8px;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: #2a2d34;
+                    border-bottom: 1px solid rgba(42, 45, 52, 0.15);
+                }
+                
+                .stopwatch-lap-row .lap-label {
+                    flex: 1;
+                    text-align: left;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                
+                .stopwatch-lap-row .lap-time {
+                    font-family: 'Quicksand', monospace;
+                }
+                
+                .stopwatch-lap-actions {
+                    justify-content: center;
+                    gap: 6px;
+                }
+                
+                .timer-controls .stopwatch-lap-actions button {
+                    padding: 3px 10px !important;
+                    margin: 4px 0 0 0 !important;
+                    font-size: 10px !important;
+                }
+                
+                .extra-timers {
+                    margin-top: 12px;
+                    border-top: 2px solid rgba(42, 45, 52, 0.2);
+                    padding-top: 8px;
+                }
+                
+                .extra-timer-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    padding: 4px 8px;
+                    margin-bottom: 4px;
+                    border: 2px solid #2a2d34;
+                    border-radius: 12px;
+                    color: #2a2d34;
+                    font-weight: 600;
+                    font-size: 12px;
+                }
+                
+                .extra-timer-row.done {
+                    border-color: #4ecf9d;
+                    background: rgba(78, 207, 157, 0.2);
+                }
+                
+                .extra-timer-name {
+                    flex: 1;
+                    text-align: left;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                
+                .extra-timer-time {
+                    font-family: 'Quicksand', monospace;
+                    font-weight: 700;
+                }
+                
+                .timer-controls .extra-timer-row button {
+                    padding: 2px 6px !important;
+                    margin: 0 !important;
+                    font-size: 10px !important;
+                    border-width: 2px !important;
+                    border-radius: 10px !important;
+                }
+                
+                .extra-timer-add-row {
+                    display: flex;
+                    gap: 4px;
+                    align-items: center;
+                    justify-content: center;
+                }
+                
+                .extra-timer-add-row input {
+                    padding: 4px;
+                    border: 2px solid #2a2d34;
+                    border-radius: 8px;
+                    background: #F5F5F5;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 11px;
+                    min-width: 0;
+                }
+                
+                .extra-timer-label { flex: 1; }
+                .extra-timer-minutes { width: 48px; text-align: center; }
+                
+                .timer-controls .extra-timer-add-btn {
+                    padding: 4px 10px !important;
+                    margin: 0 !important;
+                    font-size: 11px !important;
+                }
+                
+                .timer-controls button:hover {
+                    background: rgba(42, 45, 52, 0.8) !important;
+                    color: white !important;
+                    transform: translateY(-1px);
+                    box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+                }
+                
+                /* Responsive styles for compact mode */
+                @media (max-height: 250px) {
+                    .timer-controls {
+                        display: flex !important;
+                        align-items: center !important;
+                        gap: 10px !important;
+                    }
+                    .timer-display { 
+                        font-size: 12px !important; 
+                        margin: 0 !important;
+                        min-width: 50px !important;
+                        flex-shrink: 0 !important;
+                    }
+                    .timer-buttons { 
+                        display: flex !important;
+                        flex-direction: row !important;
+                        gap: 4px !important; 
+                        flex-wrap: wrap !important;
+                        align-items: center !important;
+                    }
+                    .timer-buttons button { 
+                        padding: 3px 6px !important; 
+                        font-size: 9px !important; 
+                        white-space: nowrap !important;
+                    }
+                    .timer-minutes-input { 
+                        width: 45px !important; 
+                        font-size: 9px !important; 
+                        padding: 2px !important; 
+                    }
+                    .timer-preset-select {
+                        max-width: 80px !important;
+                        font-size: 9px !important;
+                        padding: 2px !important;
+                    }
+                    .timer-phase { font-size: 9px !important; margin: 0 !important; }
+                    .timer-pomodoro-settings { display: none !important; }
+                    .timer-intent, .timer-reflection-note { display: none !important; }
+                    .timer-reflection { margin: 0 !important; padding: 2px 4px !important; }
+                    .timer-reflection-title { font-size: 9px !important; }
+                    .timer-controls .timer-rating-btn { font-size: 12px !important; }
+                    .extra-timers { margin: 0 !important; padding: 0 0 0 8px !important; border-top: none !important; border-left: 2px solid rgba(42, 45, 52, 0.2); }
+                    .extra-timer-row { padding: 1px 4px !important; font-size: 9px !important; margin-bottom: 2px !important; }
+                    .extra-timer-add-row { display: none !important; }
+                    .stopwatch-buttons button { padding: 3px 6px !important; font-size: 9px !important; }
+                    .stopwatch-lap-label, .stopwatch-log-option, .stopwatch-laps, .stopwatch-lap-actions { display: none !important; }
+                }
+                
+                @media (max-width: 250px) {
+                    .timer-display { font-size: 12px !important; margin-bottom: 3px !important; }
+                    .timer-buttons { flex-direction: column !important; gap: 2px !important; }
+                    .timer-buttons button { width: 95% !important; margin: 1px auto !important; padding: 4px !important; font-size: 10px !important; }
+                    .timer-minutes-input { width: 95% !important; margin: 1px auto !important; font-size: 10px !important; padding: 2px !important; }
+                    .timer-preset-select { width: 95% !important; max-width: none !important; margin: 1px auto !important; font-size: 10px !important; }
+                    .timer-pomodoro-settings { flex-direction: column !important; gap: 2px !important; }
+                    .extra-timer-row { flex-wrap: wrap !important; font-size: 10px !important; }
+                    .extra-timer-add-row { flex-direction: column !important; }
+                    .extra-timer-label, .extra-timer-minutes { width: 95% !important; }
+                    .stopwatch-buttons { flex-direction: column !important; gap: 2px !important; }
+                    .stopwatch-buttons button, .stopwatch-lap-label { width: 95% !important; margin: 1px auto !important; font-size: 10px !important; }
+                }
+            </style>
+        `;
+        
+        this.displayElement = this.container.querySelector('.timer-display');
+        this.phaseElement = this.container.querySelector('.timer-phase');
+        this.id = Math.random().toString(36).substr(2, 9); // Unique ID for this instance
+        this.updateIntentControls();
+    }
+    
+    bindEvents() {
+        const startBtn = this.container.querySelector('.timer-start-btn');
+        const pauseBtn = this.container.querySelector('.timer-pause-btn');
+        const resetBtn = this.container.querySelector('.timer-reset-btn');
+        const skipBtn = this.container.querySelector('.timer-skip-btn');
+        const modeSelect = this.container.querySelector('.timer-mode-select');
+        const minutesInput = this.container.querySelector('.timer-minutes-input');
+        const presetSelect = this.container.querySelector('.timer-preset-select');
+        const pomodoroInputs = this.container.querySelectorAll('.pomodoro-input');
+        const autoStartInput = this.container.querySelector('.pomodoro-autostart');
+        
+        startBtn.addEventListener('click', () => this.start());
+        pauseBtn.addEventListener('click', () => this.pause());
+        resetBtn.addEventListener('click', () => this.reset());
+        skipBtn.addEventListener('click', () => this.skipPhase());
+        modeSelect.addEventListener('change', (e) => this.setMode(e.target.value));
+        minutesInput.addEventListener('change', (e) => {
+            // A hand-typed duration is no longer the selected preset
+            this.clearPreset();
+            const previousMinutes = Math.round(this.totalSeconds / 60);
+            this.setDuration(parseInt(e.target.value));
+            
+            // Only hand edits count as duration changes, not picking a preset
+            const minutes = Math.round(this.totalSeconds / 60);
+            if (minutes !== previousMinutes && window.usageAnalytics) {
+                window.usageAnalytics.trackDurationChange(previousMinutes, minutes);
+            }
+        });
+        presetSelect.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.applyPreset(e.target.value);
+            } else {
+                this.clearPreset();
+                this.saveToStorage();
+            }
+        });
+        
+        pomodoroInputs.forEach(input => {
+            input.addEventListener('change', (e) => {
+                const setting = e.target.getAttribute('data-setting');
+                this.updatePomodoroSetting(setting, parseInt(e.target.value));
+            });
+        });
+        autoStartInput.addEventListener('change', (e) => this.updatePomodoroSetting('autoStartNext', e.target.checked));
+        
+        // Session intent: free text, optionally linked to an open todo
+        const intentInput = this.container.querySelector('.timer-intent-input');
+        const intentTodo = this.container.querySelector('.timer-intent-todo');
+        intentInput.addEventListener('input', (e) => {
+            this.sessionIntent.text = e.target.value;
+            this.saveToStorage();
+        });
+        intentTodo.addEventListener('focus', () => {
+            // Only a loaded todo tool can have changed the lists since the picker was filled
+            if (window.loadedTools && window.loadedTools.todos) {
+                this.refreshTodoOptions();
+            }
+        });
+        intentTodo.addEventListener('change', (e) => this.linkTodo(e.target.value));
+        this.refreshTodoOptions();
+        
+        // Post-session reflection
+        let selectedRating = null;
+        const ratingButtons = this.container.querySelectorAll('.timer-rating-btn');
+        ratingButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                selectedRating = parseInt(button.getAttribute('data-rating'));
+                ratingButtons.forEach(b => b.classList.toggle('selected', parseInt(b.getAttribute('data-rating')) <= selectedRating));
+            });
+        });
+        this.container.querySelector('.timer-reflection-save').addEventListener('click', () => {
+            const note = this.container.querySelector('.timer-reflection-note').value.trim();
+            this.saveReflection(selectedRating, note);
+            selectedRating = null;
+        });
+        this.container.querySelector('.timer-reflection-skip').addEventListener('click', () => {
+            this.hideReflection();
+            selectedRating = null;
+        });
+        
+        // Stopwatch controls
+        const lapLabelInput = this.container.querySelector('.stopwatch-lap-label');
+        this.container.querySelector('.stopwatch-toggle-btn').addEventListener('click', () => {
+            if (this.isStopwatchRunning()) {
+                this.pauseStopwatch();
+            } else {
+                this.startStopwatch();
+            }
+        });
+        this.container.querySelector('.stopwatch-lap-btn').addEventListener('click', () => this.recordLap(lapLabelInput.value));
+        lapLabelInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.recordLap(lapLabelInput.value);
+        });
+        this.container.querySelector('.stopwatch-stop-btn').addEventListener('click', () => this.stopStopwatch());
+        this.container.querySelector('.stopwatch-clear-btn').addEventListener('click', () => this.clearLaps());
+        this.container.querySelector('.stopwatch-export-btn').addEventListener('click', () => this.exportLapsCsv());
+        this.container.querySelector('.stopwatch-log-checkbox').addEventListener('change', (e) => {
+            this.logStopwatchSessions = e.target.checked;
+            this.saveToStorage();
+        });
+        
+        // Extra timers: one delegated handler for every row's buttons
+        const extraList = this.container.querySelector('.extra-timers-list');
+        const extraLabel = this.container.querySelector('.extra-timer-label');
+        const extraMinutes = this.container.querySelector('.extra-timer-minutes');
+        const extraAddBtn = this.container.querySelector('.extra-timer-add-btn');
+        
+        extraList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const timerId = button.closest('.extra-timer-row').getAttribute('data-timer-id');
+            this.handleExtraTimerAction(timerId, button.getAttribute('data-action'));
+        });
+        
+        const addExtra = () => {
+            this.addExtraTimer(extraLabel.value, parseInt(extraMinutes.value));
+            extraLabel.value = '';
+        };
+        extraAddBtn.addEventListener('click', addExtra);
+        extraLabel.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') addExtra();
+        });
+    }
+    
+    renderExtraTimers() {
+        return this.extraTimers.map(timer => {
+            const remaining = timer.getRemaining();
+            return `
+                <div class="extra-timer-row ${remaining === 0 ? 'done' : ''}" data-timer-id="${timer.id}">
+                    <span class="extra-timer-name" title="${this.escapeHtml(timer.label)}">${this.escapeHtml(timer.label)}</span>
+                    <span class="extra-timer-time">${this.formatTime(remaining)}</span>
+                    <button data-action="${timer.isRunning ? 'pause' : 'start'}">${timer.isRunning ? 'Pause' : 'Start'}</button>
+                    <button data-action="reset">Reset</button>
+                    <button data-action="remove" title="Remove timer">✕</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    updateExtraTimersDisplay() {
+        const list = this.container.querySelector('.extra-timers-list');
+        if (list) {
+            list.innerHTML = this.renderExtraTimers();
+        }
+    }
+    
+    addExtraTimer(label, minutes) {
+        const mins = Math.max(1, Math.min(720, minutes || 10));
+        const timer = new LabelledTimer({
+            label: (label || '').trim() || `Timer ${this.extraTimers.length + 1}`,
+            totalSeconds: mins * 60
+        });
+        this.extraTimers.push(timer);
+        notificationService.requestPermission();
+        timer.start();
+        this.syncExtraTicker();
+        this.updateExtraTimersDisplay();
+        this.saveToStorage();
+        
+        if (window.updateStatus) {
+            window.updateStatus(`${timer.label} Started`, 'warning', 2000);
+        }
+    }
+    
+    handleExtraTimerAction(timerId, action) {
+        const timer = this.extraTimers.find(t => t.id === timerId);
+        if (!timer) return;
+        
+        this.clearExtraReset(timerId);
+        if (action === 'start') {
+            timer.start();
+        } else if (action === 'pause') {
+            timer.pause();
+        } else if (action === 'reset') {
+            timer.reset();
+        } else if (action === 'remove') {
+            this.extraTimers = this.extraTimers.filter(t => t.id !== timerId);
+        }
+        
+        this.syncExtraTicker();
+        this.updateExtraTimersDisplay();
+        this.saveToStorage();
+    }
+    
+    // Run one shared interval while any extra timer is counting down
+    syncExtraTicker() {
+        const anyRunning = this.extraTimers.some(timer => timer.isRunning);
+        if (anyRunning && !this.extraIntervalId) {
+            this.extraIntervalId = setInterval(() => this.tickExtraTimers(), 250);
+        } else if (!anyRunning && this.extraIntervalId) {
+            clearInterval(this.extraIntervalId);
+            this.extraIntervalId = null;
+        }
+    }
+    
+    tickExtraTimers() {
+        this.extraTimers
+            .filter(timer => timer.isRunning && timer.getRemaining() === 0)
+            .forEach(timer => this.completeExtraTimer(timer));
+        
+        // Only touch the time labels so row buttons stay clickable between ticks
+        this.extraTimers.filter(timer => timer.isRunning).forEach(timer => {
+            const timeEl = this.container.querySelector(`.extra-timer-row[data-timer-id="${timer.id}"] .extra-timer-time`);
+            if (timeEl) {
+                timeEl.textContent = this.formatTime(timer.getRemaining());
+            }
+        });
+    }
+    
+    completeExtraTimer(timer) {
+        timer.pause();
+        timer.remainingSeconds = 0;
+        this.syncExtraTicker();
+        this.updateExtraTimersDisplay();
+        this.saveToStorage();
+        
+        if (window.updateStatus) {
+            window.updateStatus(`${timer.label} Complete!`, 'success', 4000);
+        }
+        this.playCompletionSound(null, `${timer.label} complete`);
+        notificationService.notify({
+            title: `⏰ ${timer.label} complete`,
+            body: `${Math.round(timer.totalSeconds / 60)} minutes are up`,
+            type: 'timer-complete',
+            actions: { snooze: () => alarmPlayer.snooze() }
+        });
+        if (window.timerComplete) {
+            window.timerComplete();
+        }
+        
+        // Auto-reset after a few seconds, same as the main timer
+        this.extraResetTimeouts[timer.id] = setTimeout(() => {
+            delete this.extraResetTimeouts[timer.id];
+            timer.reset();
+            this.updateExtraTimersDisplay();
+            this.saveToStorage();
+        }, 3000);
+    }
+    
+    clearExtraReset(timerId) {
+        if (this.extraResetTimeouts[timerId]) {
+            clearTimeout(this.extraResetTimeouts[timerId]);
+            delete this.extraResetTimeouts[timerId];
+        }
+    }
+    
+    // Running timer that ends first across the main and extra timers (for the status ticker)
+    getSoonestRunningTimer() {
+        const running = this.extraTimers
+            .filter(timer => timer.isRunning)
+            .map(timer => ({ label: timer.label, remainingSeconds: timer.getRemaining(), isBreak: false }));
+        
+        if (this.isRunning) {
+            running.push({ label: this.getPhaseLabel(), remainingSeconds: this.remainingSeconds, isBreak: this.isBreak() });
+        }
+        
+        if (running.length === 0) return null;
+        return running.reduce((soonest, timer) => timer.remainingSeconds < soonest.remainingSeconds ? timer : soonest);
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    renderPresetOptions() {
+        const options = this.presets.map(preset => `
+            <option value="${this.escapeHtml(preset.id)}" ${preset.id === this.activePresetId ? 'selected' : ''}>${this.escapeHtml(formatPresetLabel(preset))}</option>
+        `).join('');
+        return `<option value="" ${this.activePresetId ? '' : 'selected'}>Custom</option>${options}`;
+    }
+    
+    updatePresetSelect() {
+        // Drop the selection if the active preset was deleted in settings
+        if (this.activePresetId && !this.presets.some(p => p.id === this.activePresetId)) {
+            this.clearPreset();
+        }
+        const select = this.container.querySelector('.timer-preset-select');
+        if (select) {
+            select.innerHTML = this.renderPresetOptions();
+        }
+    }
+    
+    // Load a named preset as a simple countdown with its own completion sound
+    applyPreset(presetId) {
+        const preset = this.presets.find(p => p.id === presetId);
+        if (!preset) return;
+        
+        if (this.mode !== 'countdown') {
+            this.setMode('countdown');
+        }
+        this.activePresetId = preset.id;
+        this.completionSound = preset.sound;
+        this.setDuration(preset.minutes);
+        this.updatePresetSelect();
+        
+        if (window.updateStatus) {
+            window.updateStatus(`Preset: ${formatPresetLabel(preset)}`, 'primary', 2000);
+        }
+    }
+    
+    clearPreset() {
+        this.activePresetId = null;
+        this.completionSound = null;
+        const select = this.container.querySelector('.timer-preset-select');
+        if (select) {
+            select.value = '';
+        }
+    }
+    
+    // Switch between simple countdown, Pomodoro cycle and stopwatch
+    setMode(mode) {
+        this.clearAutoReset();
+        this.abandonSession('mode');
+        this.pause();
+        if (this.mode === 'stopwatch' && mode !== 'stopwatch') {
+            this.pauseStopwatch();
+        }
+        this.clearPreset();
+        this.mode = mode;
+        this.phase = 'work';
+        this.completedWorkSessions = 0;
+        
+        if (mode === 'pomodoro') {
+            this.totalSeconds = this.getPhaseMinutes('work') * 60;
+        } else if (mode === 'countdown') {
+            const input = this.container.querySelector('.timer-minutes-input');
+            this.totalSeconds = Math.max(1, Math.min(120, parseInt(input?.value) || 25)) * 60;
+        }
+        this.remainingSeconds = this.totalSeconds;
+        this.saveToStorage();
+        
+        // Re-render so the mode-specific controls are shown
+        this.render();
+        this.bindEvents();
+        this.updateDisplay();
+    }
+    
+    updatePomodoroSetting(setting, value) {
+        if (setting === 'autoStartNext') {
+            this.pomodoroSettings.autoStartNext = !!value;
+        } else {
+            const limits = {
+                workMinutes: [1, 120],
+                shortBreakMinutes: [1, 60],
+                longBreakMinutes: [1, 60],
+                longBreakInterval: [1, 12]
+            };
+            const [min, max] = limits[setting];
+            const clamped = Math.max(min, Math.min(max, value || this.pomodoroSettings[setting]));
+            this.pomodoroSettings[setting] = clamped;
+            
+            const input = this.container.querySelector(`.pomodoro-input[data-setting="${setting}"]`);
+            if (input) {
+                input.value = clamped;
+            }
+            
+            // Apply new length immediately if the current phase hasn't started yet
+            if (!this.isRunning && this.remainingSeconds === this.totalSeconds) {
+                this.totalSeconds = this.getPhaseMinutes(this.phase) * 60;
+                this.remainingSeconds = this.totalSeconds;
+                this.updateDisplay();
+            }
+        }
+        
+        this.saveToStorage();
+    }
+    
+    getPhaseMinutes(phase) {
+        if (phase === 'shortBreak') return this.pomodoroSettings.shortBreakMinutes;
+        if (phase === 'longBreak') return this.pomodoroSettings.longBreakMinutes;
+        return this.pomodoroSettings.workMinutes;
+    }
+    
+    // Phase of the session currently on the clock ('work' in simple countdown mode)
+    getCurrentPhase() {
+        return this.mode === 'pomodoro' ? this.phase : 'work';
+    }
+    
+    isBreak() {
+        return this.getCurrentPhase() !== 'work';
+    }
+    
+    getPhaseLabel() {
+        if (this.mode === 'stopwatch') return 'Stopwatch';
+        return this.mode === 'pomodoro' ? PHASE_LABELS[this.phase] : 'Timer';
+    }
+    
+    getPhaseIndicatorText() {
+        if (this.mode !== 'pomodoro') return '';
+        const interval = this.pomodoroSettings.longBreakInterval;
+        const cyclePosition = (this.completedWorkSessions % interval) + (this.phase === 'work' ? 1 : 0);
+        const sessionInfo = this.phase === 'work'
+            ? ` · ${cyclePosition}/${interval}`
+            : '';
+        return `${PHASE_ICONS[this.phase]} ${PHASE_LABELS[this.phase]}${sessionInfo}`;
+    }
+    
+    getNextPhase() {
+        if (this.phase !== 'work') return 'work';
+        const interval = this.pomodoroSettings.longBreakInterval;
+        return this.completedWorkSessions > 0 && this.completedWorkSessions % interval === 0
+            ? 'longBreak'
+            : 'shortBreak';
+    }
+    
+    setPhase(phase) {
+        this.clearAutoReset();
+        this.abandonSession('skip');
+        this.pause();
+        this.phase = phase;
+        this.totalSeconds = this.getPhaseMinutes(phase) * 60;
+        this.remainingSeconds = this.totalSeconds;
+        this.updateDisplay();
+        this.saveToStorage();
+    }
+    
+    // Move to the next phase of the cycle without completing the current one
+    skipPhase() {
+        if (this.mode !== 'pomodoro') return;
+        
+        if (this.phase === 'work') {
+            this.completedWorkSessions++;
+        }
+        this.setPhase(this.getNextPhase());
+        
+        if (window.updateStatus) {
+            window.updateStatus(`Skipped to ${PHASE_LABELS[this.phase]}`, 'primary', 2000);
+        }
+    }
+    
+    clearAutoReset() {
+        if (this.autoResetTimeout) {
+            clearTimeout(this.autoResetTimeout);
+            this.autoResetTimeout = null;
+        }
+    }
+    
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    
+    // Seconds shown on the main display: elapsed in stopwatch mode, remaining otherwise
+    getDisplaySeconds() {
+        if (this.mode === 'stopwatch') {
+            return Math.floor(this.getStopwatchElapsedMs() / 1000);
+        }
+        return this.remainingSeconds;
+    }
+    
+    updateDisplay() {
+        if (this.displayElement) {
+            this.displayElement.textContent = this.formatTime(this.getDisplaySeconds());
+        }
+        if (this.phaseElement) {
+            this.phaseElement.textContent = this.getPhaseIndicatorText();
+        }
+        this.updateIntentControls();
+        
+        // Notify parent window of timer updates for OssC integration
+        if (window.timerUpdate) {
+            if (this.mode === 'stopwatch') {
+                // No end point, so breathe along with each minute instead
+                const progress = (this.getStopwatchElapsedMs() % 60000) / 60000;
+                window.timerUpdate(progress, this.isStopwatchRunning());
+            } else {
+                const progress = 1 - (this.remainingSeconds / this.totalSeconds);
+                window.timerUpdate(progress, this.isRunning);
+            }
+        }
+    }
+    
+    // Intent is fixed once a session runs, and doesn't apply to breaks
+    updateIntentControls() {
+        const intent = this.container.querySelector('.timer-intent');
+        if (!intent) return;
+        
+        intent.style.display = this.isBreak() ? 'none' : '';
+        intent.querySelectorAll('input, select').forEach(control => {
+            control.disabled = this.isRunning;
+        });
+    }
+    
+    // Fill the todo picker with open items, grouped by list, from the saved lists
+    async refreshTodoOptions() {
+        const lists = await storage.get(TODOS_KEY, {});
+        const select = this.container.querySelector('.timer-intent-todo');
+        if (!select) return;
+        
+        const groups = Object.values(lists || {}).map(list => {
+            // Subtasks are listed after their parent
+            const items = flattenItems(list.items).filter(item => !item.completed || item.id === this.sessionIntent.todoId);
+            if (items.length === 0) return '';
+            return `
+                <optgroup label="${this.escapeHtml(list.name)}">
+                    ${items.map(item => `<option value="${item.id}" ${item.id === this.sessionIntent.todoId ? 'selected' : ''}>${this.escapeHtml(item.text)}</option>`).join('')}
+                </optgroup>
+            `;
+        }).join('');
+        
+        select.innerHTML = `<option value="">📝 Todo</option>${groups}`;
+        select.value = this.sessionIntent.todoId || '';
+    }
+    
+    linkTodo(todoId) {
+        const select = this.container.querySelector('.timer-intent-todo');
+        const option = select ? select.selectedOptions[0] : null;
+        
+        this.sessionIntent.todoId = todoId || null;
+        this.sessionIntent.todoText = todoId && option ? option.textContent : '';
+        
+        // Use the todo as the intent unless something was typed already
+        if (todoId && !this.sessionIntent.text.trim()) {
+            this.sessionIntent.text = this.sessionIntent.todoText;
+            const input = this.container.querySelector('.timer-intent-input');
+            if (input) {
+                input.value = this.sessionIntent.text;
+            }
+        }
+        this.saveToStorage();
+    }
+    
+    // Names of the focus noise / ambient sounds playing right now
+    getPlayingSounds() {
+        return [window.childFocusNoise, window.childAmbientNoise]
+            .filter(tool => tool && typeof tool.getActiveGenerators === 'function')
+            .flatMap(tool => tool.getActiveGenerators());
+    }
+    
+    // Append the current focus session to the analytics history log
+    logFocusSession(status, endedAt = Date.now(), abandonReason = null) {
+        const runSeconds = this.totalSeconds - this.remainingSeconds;
+        if (!window.usageAnalytics || !this.sessionStartedAt || runSeconds <= 0) return null;
+        
+        return window.usageAnalytics.logSession({
+            mode: this.mode,
+            status,
+            startedAt: new Date(this.sessionStartedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            intent: this.sessionIntent.text.trim(),
+            todoId: this.sessionIntent.todoId,
+            todoText: this.sessionIntent.todoText,
+            plannedMinutes: Math.round(this.totalSeconds / 60),
+            actualMinutes: Math.round(runSeconds / 6) / 10,
+            pausedMinutes: Math.round(this.sessionPausedMs / 6000) / 10,
+            interruptions: this.sessionInterruptions,
+            abandonReason,
+            sounds: [...new Set([...this.sessionSounds, ...this.getPlayingSounds()])]
+        });
+    }
+    
+    endSession() {
+        this.sessionStartedAt = null;
+        this.sessionSounds = [];
+        this.pausedAt = null;
+        this.sessionPausedMs = 0;
+        this.sessionInterruptions = 0;
+    }
+    
+    // A started session thrown away before its deadline. reason: 'reset', 'skip', 'duration' or 'mode'
+    abandonSession(reason) {
+        if (!this.sessionStartedAt) return;
+        
+        // Freeze the remaining time without counting it as a pause
+        if (this.isRunning) {
+            this.stopCountdown();
+        }
+        if (this.pausedAt) {
+            this.sessionPausedMs += Date.now() - this.pausedAt;
+            this.pausedAt = null;
+        }
+        
+        const phase = this.getCurrentPhase();
+        const runSeconds = this.totalSeconds - this.remainingSeconds;
+        if (runSeconds > 0) {
+            if (phase === 'work') {
+                this.logFocusSession('abandoned', Date.now(), reason);
+            }
+            if (window.usageAnalytics) {
+                window.usageAnalytics.trackSessionAbandoned(Math.floor(runSeconds / 60), phase);
+            }
+        }
+        this.endSession();
+        this.saveToStorage();
+    }
+    
+    showReflection(sessionId) {
+        const panel = this.container.querySelector('.timer-reflection');
+        if (!panel) return;
+        
+        this.reflectionSessionId = sessionId;
+        panel.querySelectorAll('.timer-rating-btn').forEach(button => button.classList.remove('selected'));
+        panel.querySelector('.timer-reflection-note').value = '';
+        panel.style.display = 'block';
+    }
+    
+    hideReflection() {
+        this.reflectionSessionId = null;
+        const panel = this.container.querySelector('.timer-reflection');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+    
+    saveReflection(rating, note) {
+        if (this.reflectionSessionId && window.usageAnalytics) {
+            window.usageAnalytics.updateSession(this.reflectionSessionId, { rating, note });
+            
+            if (window.updateStatus) {
+                window.updateStatus('Reflection saved', 'success', 2000);
+            }
+        }
+        this.hideReflection();
+    }
+    
+    // Stopwatch: elapsed time is banked time plus the current wall-clock stretch
+    getStopwatchElapsedMs() {
+        const currentStretch = this.stopwatchStartedAt ? Date.now() - this.stopwatchStartedAt : 0;
+        return this.stopwatchElapsedMs + currentStretch;
+    }
+    
+    isStopwatchRunning() {
+        return this.stopwatchStartedAt !== null;
+    }
+    
+    startStopwatch() {
+        if (this.isStopwatchRunning()) return;
+        
+        this.stopwatchStartedAt = Date.now();
+        this.runStopwatchTicker();
+        this.updateStopwatchControls();
+        this.saveToStorage();
+        
+        if (window.updateStatus) {
+            window.updateStatus('Stopwatch Started', 'warning', 2000);
+        }
+    }
+    
+    pauseStopwatch() {
+        if (!this.isStopwatchRunning()) return;
+        
+        this.stopwatchElapsedMs = this.getStopwatchElapsedMs();
+        this.stopwatchStartedAt = null;
+        this.stopStopwatchTicker();
+        this.updateDisplay();
+        this.updateStopwatchControls();
+        this.saveToStorage();
+        
+        if (window.updateStatus) {
+            window.updateStatus('Stopwatch Paused', 'accent', 2000);
+        }
+    }
+    
+    // End the run: optionally log it as a focus session, then zero the clock (laps are kept)
+    stopStopwatch() {
+        const elapsedMs = this.getStopwatchElapsedMs();
+        this.stopwatchStartedAt = null;
+        this.stopStopwatchTicker();
+        if (elapsedMs === 0) return;
+        
+        const minutes = Math.floor(elapsedMs / 1000 / 60);
+        if (this.logStopwatchSessions && minutes >= 1 && window.usageAnalytics) {
+            window.usageAnalytics.trackFocusSession(minutes);
+            window.usageAnalytics.logSession({
+                mode: 'stopwatch',
+                status: 'completed',
+                startedAt: new Date(Date.now() - elapsedMs).toISOString(),
+                endedAt: new Date().toISOString(),
+                plannedMinutes: null,
+                actualMinutes: Math.round(elapsedMs / 6000) / 10,
+                sounds: this.getPlayingSounds()
+            });
+        }
+        
+        this.stopwatchElapsedMs = 0;
+        this.stopwatchLapBaseMs = 0;
+        this.updateDisplay();
+        this.updateStopwatchControls();
+        this.saveToStorage();
+        
+        if (window.updateStatus) {
+            window.updateStatus(`Stopwatch Stopped at ${this.formatTime(Math.floor(elapsedMs / 1000))}`, 'success', 3000);
+        }
+    }
+    
+    runStopwatchTicker() {
+        if (!this.stopwatchIntervalId) {
+            this.stopwatchIntervalId = setInterval(() => this.updateDisplay(), 250);
+        }
+    }
+    
+    stopStopwatchTicker() {
+        if (this.stopwatchIntervalId) {
+            clearInterval(this.stopwatchIntervalId);
+            this.stopwatchIntervalId = null;
+        }
+    }
+    
+    recordLap(label = '') {
+        const totalMs = this.getStopwatchElapsedMs();
+        if (totalMs === 0) return;
+        
+        this.laps.push({
+            number: this.laps.length + 1,
+            label: label.trim(),
+            splitMs: totalMs - this.stopwatchLapBaseMs,
+            totalMs: totalMs,
+            recordedAt: new Date().toISOString()
+        });
+        this.stopwatchLapBaseMs = totalMs;
+        
+        const labelInput = this.container.querySelector('.stopwatch-lap-label');
+        if (labelInput) {
+            labelInput.value = '';
+        }
+        this.updateStopwatchControls();
+        this.saveToStorage();
+    }
+    
+    clearLaps() {
+        this.laps = [];
+        this.updateStopwatchControls();
+        this.saveToStorage();
+    }
+    
+    // mm:ss.t for lap times
+    formatLapTime(ms) {
+        const tenths = Math.floor((ms % 1000) / 100);
+        return `${this.formatTime(Math.floor(ms / 1000))}.${tenths}`;
+    }
+    
+    renderLaps() {
+        // Newest lap first
+        return [...this.laps].reverse().map(lap => `
+            <div class="stopwatch-lap-row">
+                <span>#${lap.number}</span>
+                <span class="lap-label">${this.escapeHtml(lap.label)}</span>
+                <span class="lap-time">+${this.formatLapTime(lap.splitMs)}</span>
+                <span class="lap-time">${this.formatLapTime(lap.totalMs)}</span>
+            </div>
+        `).join('');
+    }
+    
+    updateStopwatchControls() {
+        const toggleBtn = this.container.querySelector('.stopwatch-toggle-btn');
+        const lapsEl = this.container.querySelector('.stopwatch-laps');
+        const lapActions = this.container.querySelector('.stopwatch-lap-actions');
+        
+        if (toggleBtn) {
+            toggleBtn.textContent = this.isStopwatchRunning() ? 'Pause' : 'Start';
+        }
+        if (lapsEl) {
+            lapsEl.innerHTML = this.renderLaps();
+        }
+        if (lapActions) {
+            lapActions.style.display = this.laps.length > 0 ? 'flex' : 'none';
+        }
+    }
+    
+    async exportLapsCsv() {
+        if (this.laps.length === 0) return;
+        
+        const rows = [['Lap', 'Label', 'Lap Time', 'Total Time', 'Recorded At']];
+        this.laps.forEach(lap => {
+            rows.push([lap.number, lap.label, this.formatLapTime(lap.splitMs), this.formatLapTime(lap.totalMs), lap.recordedAt]);
+        });
+        
+        const filename = `ucanduit-laps-${new Date().toISOString().slice(0, 10)}.csv`;
+        try {
+            const savedTo = await saveTextFile(filename, toCsv(rows), 'text/csv');
+            console.log(`✅ Laps exported to ${savedTo}`);
+            if (window.updateStatus) {
+                window.updateStatus(`Laps exported: ${filename}`, 'success', 3000);
+            }
+        } catch (error) {
+            console.error('❌ Failed to export laps:', error);
+            if (window.updateStatus) {
+                window.updateStatus('Lap export failed', 'danger', 3000);
+            }
+        }
+    }
+    
+    start() {
+        if (this.isRunning || this.remainingSeconds === 0) return;
+        
+        this.clearAutoReset();
+        notificationService.requestPermission();
+        if (!this.isBreak()) {
+            this.hideReflection(); // A new focus session leaves the last one unrated
+        }
+        this.startTime = Date.now(); // Track start time for analytics
+        const isResume = this.sessionStartedAt !== null;
+        const pausedMs = isResume && this.pausedAt ? this.startTime - this.pausedAt : 0;
+        if (!isResume) {
+            this.sessionStartedAt = this.startTime;
+        }
+        this.sessionPausedMs += pausedMs;
+        this.pausedAt = null;
+        this.sessionSounds = [...new Set([...this.sessionSounds, ...this.getPlayingSounds()])];
+        this.endTime = this.startTime + this.remainingSeconds * 1000;
+        this.runCountdown();
+        this.saveToStorage();
+        
+        // Track timer start (or the resume of a paused session) for analytics
+        if (window.usageAnalytics) {
+            if (isResume) {
+                window.usageAnalytics.trackTimerResume(pausedMs / 1000 / 60, this.getCurrentPhase());
+            } else {
+                const durationMinutes = Math.floor(this.totalSeconds / 60);
+                window.usageAnalytics.trackTimerStart(durationMinutes, this.getCurrentPhase());
+            }
+        }
+        
+        // Update parent status briefly, then return to ticker rotation
+        if (window.updateStatus) {
+            const label = this.mode === 'pomodoro' ? `${PHASE_LABELS[this.phase]} Started` : 'Timer Started';
+            window.updateStatus(label, this.isBreak() ? 'primary' : 'warning', 2000);
+        }
+    }
+    
+    // Tick against the deadline; the interval only decides how often we look at the clock.
+    // The deadline is persisted, so a running session survives throttling, sleep and restarts.
+    runCountdown() {
+        this.isRunning = true;
+        this.intervalId = setInterval(() => this.tick(), 250);
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+        this.updateIntentControls();
+        this.tick();
+    }
+    
+    stopCountdown() {
+        if (this.isRunning && this.endTime) {
+            this.remainingSeconds = this.getSecondsUntilDeadline();
+        }
+        this.isRunning = false;
+        this.endTime = null;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        document.removeEventListener('visibilitychange', this.visibilityHandler);
+        this.updateIntentControls();
+    }
+    
+    getSecondsUntilDeadline() {
+        return Math.max(0, Math.ceil((this.endTime - Date.now()) / 1000));
+    }
+    
+    tick() {
+        if (!this.isRunning || !this.endTime) return;
+        
+        const remaining = this.getSecondsUntilDeadline();
+        if (remaining !== this.remainingSeconds) {
+            this.remainingSeconds = remaining;
+            this.updateDisplay();
+        }
+        
+        if (remaining === 0) {
+            this.complete();
+        }
+    }
+    
+    // Pick up a saved session: keep counting, or complete if the deadline passed while closed
+    resumeSession() {
+        if (this.isStopwatchRunning()) {
+            this.runStopwatchTicker();
+        }
+        
+        this.extraTimers
+            .filter(timer => timer.isRunning && timer.getRemaining() === 0)
+            .forEach(timer => this.completeExtraTimer(timer));
+        this.extraTimers
+            .filter(timer => !timer.isRunning && timer.remainingSeconds === 0)
+            .forEach(timer => timer.reset());
+        this.syncExtraTicker();
+        this.updateExtraTimersDisplay();
+        
+        if (this.endTime) {
+            if (this.endTime <= Date.now()) {
+                this.remainingSeconds = 0;
+                this.isRunning = true;
+                this.updateDisplay();
+                console.log('⏰ Timer deadline passed while the app was closed');
+                this.complete();
+            } else {
+                this.runCountdown();
+                console.log('⏱️ Resumed running timer session');
+            }
+            return;
+        }
+        
+        // Closed during the short pause after a completion
+        if (this.remainingSeconds === 0) {
+            if (this.mode === 'pomodoro') {
+                this.phase = this.getNextPhase();
+                this.totalSeconds = this.getPhaseMinutes(this.phase) * 60;
+            }
+            this.remainingSeconds = this.totalSeconds;
+        }
+        this.updateDisplay();
+    }
+    
+    pause() {
+        if (!this.isRunning) return;
+        
+        this.stopCountdown();
+        if (this.sessionStartedAt) {
+            this.pausedAt = Date.now();
+            this.sessionInterruptions++;
+            if (window.usageAnalytics) {
+                window.usageAnalytics.trackTimerPause(this.getCurrentPhase());
+            }
+        }
+        this.updateDisplay();
+        this.saveToStorage();
+        
+        // Update parent status briefly, then return to ticker rotation
+        if (window.updateStatus) {
+            window.updateStatus('Timer Paused', 'accent', 2000);
+        }
+    }
+    
+    reset() {
+        this.abandonSession('reset');
+        this.pause();
+        this.remainingSeconds = this.totalSeconds;
+        this.updateDisplay();
+        this.saveToStorage();
+        
+        // Update parent status briefly, then return to ticker rotation
+        if (window.updateStatus) {
+            window.updateStatus('Timer Reset', 'success', 2000);
+        }
+    }
+    
+    setDuration(minutes) {
+        const mins = Math.max(1, Math.min(120, minutes || 25));
+        this.abandonSession('duration');
+        this.pause();
+        this.totalSeconds = mins * 60;
+        this.remainingSeconds = this.totalSeconds;
+        this.updateDisplay();
+        this.saveToStorage();
+        
+        // Update the input field to reflect the clamped value
+        const input = this.container.querySelector('.timer-minutes-input');
+        if (input) {
+            input.value = mins;
+        }
+    }
+    
+    complete() {
+        // A deadline that passed while the app was closed only counts up to the deadline
+        const finishedAt = this.endTime ? Math.min(Date.now(), this.endTime) : Date.now();
+        this.stopCountdown();
+        this.remainingSeconds = 0;
+        
+        const finishedPhase = this.getCurrentPhase();
+        
+        // Track timer completion for analytics
+        if (window.usageAnalytics && this.sessionStartedAt) {
+            // Wall-clock time since the session started, minus the time it sat paused
+            const actualMinutes = Math.floor((finishedAt - this.sessionStartedAt - this.sessionPausedMs) / 1000 / 60);
+            window.usageAnalytics.trackTimerComplete(actualMinutes, finishedPhase);
+        }
+        if (finishedPhase === 'work') {
+            const sessionId = this.logFocusSession('completed', finishedAt);
+            if (sessionId) {
+                this.showReflection(sessionId);
+            }
+        }
+        this.endSession();
+        
+        if (this.mode === 'pomodoro' && finishedPhase === 'work') {
+            this.completedWorkSessions++;
+        }
+        this.saveToStorage();
+        
+        // Update parent status briefly, then return to ticker rotation
+        if (window.updateStatus) {
+            const label = this.mode === 'pomodoro' ? `${PHASE_LABELS[finishedPhase]} Complete!` : 'Timer Complete!';
+            window.updateStatus(label, 'success', 4000);
+        }
+        
+        // Ring the completion alarm (dismiss / snooze from its banner)
+        const activePreset = this.presets.find(p => p.id === this.activePresetId);
+        const alarmLabel = this.mode === 'pomodoro'
+            ? `${PHASE_LABELS[finishedPhase]} complete`
+            : activePreset ? `${activePreset.name} complete` : 'Timer complete';
+        
+        // Offer to start the break right away when the cycle won't start it by itself
+        const breakPhase = this.mode === 'pomodoro' && finishedPhase === 'work' && !this.pomodoroSettings.autoStartNext
+            ? this.getNextPhase()
+            : null;
+        const startBreak = breakPhase ? () => this.startBreak(breakPhase) : null;
+        this.playCompletionSound(this.completionSound, alarmLabel,
+            startBreak ? [{ title: 'Start break', onSelect: startBreak }] : []);
+        this.sendCompletionNotification(finishedPhase, alarmLabel, startBreak);
+        
+        // Notify parent of completion for OssC animation
+        if (window.timerComplete) {
+            window.timerComplete();
+        }
+        
+        // Auto-reset (or advance the Pomodoro cycle) after a few seconds
+        this.autoResetTimeout = setTimeout(() => {
+            this.autoResetTimeout = null;
+            if (this.mode === 'pomodoro') {
+                this.setPhase(this.getNextPhase());
+                if (this.pomodoroSettings.autoStartNext) {
+                    this.start();
+                }
+            } else {
+                this.reset();
+            }
+        }, 3000);
+    }
+    
+    // Ring an alarm from the library (null rings the default alarm)
+    playCompletionSound(sound = this.completionSound, label = 'Timer complete', actions = []) {
+        alarmPlayer.ring(sound, { label, actions }).catch(error => {
+            console.log('Could not play completion sound:', error);
+        });
+    }
+    
+    // Native notification for a finished session - break end, focus end or plain countdown
+    sendCompletionNotification(finishedPhase, label, startBreak) {
+        const isBreakEnd = this.mode === 'pomodoro' && finishedPhase !== 'work';
+        let body = `${Math.round(this.totalSeconds / 60)} minutes are up`;
+        if (isBreakEnd) {
+            body = 'Time to get back to focus';
+        } else if (this.mode === 'pomodoro') {
+            body = `${this.completedWorkSessions} focus session${this.completedWorkSessions === 1 ? '' : 's'} done`;
+        }
+        
+        const actions = { snooze: () => alarmPlayer.snooze() };
+        if (startBreak) {
+            actions['start-break'] = startBreak;
+        }
+        
+        notificationService.notify({
+            title: isBreakEnd ? '☕ Break over' : `⏰ ${label}`,
+            body,
+            type: startBreak ? 'focus-complete' : 'timer-complete',
+            actions
+        });
+    }
+    
+    // Start a break from a completion alarm or notification, whether or not the
+    // cycle has already advanced to it
+    startBreak(breakPhase) {
+        if (this.isDestroyed || this.mode !== 'pomodoro' || this.isRunning) return;
+        
+        if (this.phase !== breakPhase) {
+            this.setPhase(breakPhase);
+        }
+        this.start();
+    }
+    
+    getState() {
+        return {
+            mode: this.mode,
+            phase: this.phase,
+            completedWorkSessions: this.completedWorkSessions,
+            pomodoroSettings: this.pomodoroSettings,
+            totalSeconds: this.totalSeconds,
+            remainingSeconds: this.remainingSeconds,
+            isRunning: this.isRunning,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            activePresetId: this.activePresetId,
+            completionSound: this.completionSound,
+            extraTimers: this.extraTimers.map(timer => timer.toJSON()),
+            stopwatchStartedAt: this.stopwatchStartedAt,
+            stopwatchElapsedMs: this.stopwatchElapsedMs,
+            stopwatchLapBaseMs: this.stopwatchLapBaseMs,
+            laps: this.laps,
+            logStopwatchSessions: this.logStopwatchSessions,
+            sessionIntent: this.sessionIntent,
+            sessionStartedAt: this.sessionStartedAt,
+            sessionSounds: this.sessionSounds,
+            pausedAt: this.pausedAt,
+            sessionPausedMs: this.sessionPausedMs,
+            sessionInterruptions: this.sessionInterruptions,
+            savedAt: Date.now()
+        };
+    }
+    
+    applyState(state) {
+        this.mode = ['pomodoro', 'stopwatch'].includes(state.mode) ? state.mode : 'countdown';
+        this.phase = PHASE_LABELS[state.phase] ? state.phase : 'work';
+        this.completedWorkSessions = state.completedWorkSessions || 0;
+        this.pomodoroSettings = { ...this.pomodoroSettings, ...state.pomodoroSettings };
+        this.totalSeconds = state.totalSeconds || this.totalSeconds;
+        this.remainingSeconds = Number.isFinite(state.remainingSeconds) ? state.remainingSeconds : this.totalSeconds;
+        this.startTime = state.startTime || null;
+        this.endTime = state.isRunning && state.endTime ? state.endTime : null;
+        this.activePresetId = state.activePresetId || null;
+        this.completionSound = state.completionSound || null;
+        this.extraTimers = (state.extraTimers || []).map(timer => new LabelledTimer(timer));
+        this.stopwatchStartedAt = state.stopwatchStartedAt || null;
+        this.stopwatchElapsedMs = state.stopwatchElapsedMs || 0;
+        this.stopwatchLapBaseMs = state.stopwatchLapBaseMs || 0;
+        this.laps = state.laps || [];
+        this.logStopwatchSessions = !!state.logStopwatchSessions;
+        this.sessionIntent = { ...this.sessionIntent, ...state.sessionIntent };
+        // State saved before session tracking only knows when the last run started
+        this.sessionStartedAt = state.sessionStartedAt || (state.isRunning ? state.startTime : null) || null;
+        this.sessionSounds = state.sessionSounds || [];
+        this.pausedAt = state.pausedAt || null;
+        this.sessionPausedMs = state.sessionPausedMs || 0;
+        this.sessionInterruptions = state.sessionInterruptions || 0;
+    }
+    
+    saveToStorage() {
+        return storage.set(TIMER_STATE_KEY, this.getState());
+    }
+    
+    async loadFromStorage() {
+        const state = await TimerTool.readSavedState();
+        if (state) {
+            this.applyState(state);
+        }
+    }
+    
+    // Read the persisted timer state without creating a tool (used at startup to resume sessions)
+    static readSavedState() {
+        return storage.get(TIMER_STATE_KEY);
+    }
+    
+    // Called when the section is collapsed. The instance stays loaded so running timers
+    // still tick, ring and notify; the controls move to a detached element that keeps
+    // taking display updates until render() rebuilds them in the reopened section.
+    destroyUI() {
+        const detached = document.createElement('div');
+        detached.append(...this.container.childNodes);
+        this.container = detached;
+    }
+    
+    // Cleanup method for when tool is unloaded
+    destroy() {
+        this.isDestroyed = true; // Late alarm / notification actions must not restart an unloaded timer
+        this.clearAutoReset();
+        if (this.unsubscribePresets) {
+            this.unsubscribePresets();
+        }
+        
+        // Only the on-screen clocks stop - running timers keep their deadlines in the saved
+        // state and carry on (or complete) when the tool is loaded again
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        document.removeEventListener('visibilitychange', this.visibilityHandler);
+        Object.keys(this.extraResetTimeouts).forEach(timerId => this.clearExtraReset(timerId));
+        if (this.extraIntervalId) {
+            clearInterval(this.extraIntervalId);
+            this.extraIntervalId = null;
+        }
+        this.stopStopwatchTicker();
+        this.saveToStorage();
+        this.container.innerHTML = ''; // Clear DOM
+        
+        // Reset parent status
+        if (window.updateStatus) {
+            window.updateStatus('Assistant Ready', 'success');
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,1692 @@
+/**
+ * Todo List Tool - ES6 Module
+ * Supports multiple lists with add/complete functionality and local storage persistence
+ * Updated: Dark mode support with CSS variables
+ */
+
+import { storage } from './storage.js';
+import { REMINDER_OPTIONS, getDueStatus, formatDue, dueAt, localDateKey, flattenItems } from './todo-reminders.js';
+import {
+    RECURRENCE_TYPES, WEEKDAY_NAMES, normalizeRecurrence, firstOccurrence,
+    completeOccurrence, undoOccurrence, completedToday, recurrenceStreak, describeRecurrence
+} from './todo-recurrence.js';
+
+const TODOS_KEY = 'todos';
+const FILTER_KEY = 'todo-filter';
+const UNDO_DURATION = 5000;
+const REFRESH_INTERVAL = 60 * 1000; // Re-render so items turn overdue while the tool is open
+
+export const PRIORITIES = {
+    high: { label: 'High', marker: '!!!' },
+    medium: { label: 'Medium', marker: '!!' },
+    low: { label: 'Low', marker: '!' }
+};
+
+const PRIORITY_ALIASES = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
+
+/**
+ * Quick-add syntax - "Write report !high #work" gives
+ * { text: 'Write report', priority: 'high', tags: ['work'] }.
+ * Unknown !words stay in the text; tags are lower-cased.
+ */
+export function parseQuickAdd(input) {
+    let priority = null;
+    const tags = [];
+    const text = input.replace(/(^|\s)([!#])([\p{L}\p{N}_-]+)(?=\s|$)/gu, (match, space, sigil, word) => {
+        if (sigil === '#') {
+            const tag = word.toLowerCase();
+            if (!tags.includes(tag)) tags.push(tag);
+            return space;
+        }
+        const alias = PRIORITY_ALIASES[word.toLowerCase()];
+        if (!alias) return match;
+        priority = alias;
+        return space;
+    }).replace(/\s+/g, ' ').trim();
+
+    // Nothing but markers - keep it all as text
+    if (!text) return { text: input.trim(), priority: null, tags: [] };
+    return { text, priority, tags };
+}
+
+// The item written back in quick-add syntax, for editing
+export function formatQuickAdd(item) {
+    return [item.text, item.priority ? `!${item.priority}` : '', ...(item.tags || []).map(tag => `#${tag}`)]
+        .filter(Boolean)
+        .join(' ');
+}
+
+// When the item was last done - recurring items only keep it in their history
+function lastCompletedAt(item) {
+    if (item.completed) return item.completedAt;
+    const history = item.history || [];
+    return history.length > 0 ? history[history.length - 1].completedAt : null;
+}
+
+// Whether the row shows as checked - a recurring item is never completed, but its
+// latest occurrence stays checked for the rest of the day so it can be unchecked
+function isChecked(item) {
+    return item.recurrence ? completedToday(item) : !!item.completed;
+}
+
+function startOfWeek() {
+    const monday = new Date();
+    monday.setHours(0, 0, 0, 0);
+    monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+    return monday.getTime();
+}
+
+// Views across every list - filter(item) picks the items, sort (optional) orders
+// them and groupBy (optional) lists an item under each of the group names it returns
+const SMART_VIEWS = {
+    today: {
+        name: 'Today',
+        icon: '📅',
+        empty: 'Nothing due today',
+        // Open items due today or earlier, plus the ones finished today
+        filter: (item) => {
+            const today = localDateKey();
+            if (!item.due || item.due > today) return false;
+            return !item.completed || localDateKey(new Date(item.completedAt)) === today;
+        },
+        sort: (a, b) => dueAt(a) - dueAt(b)
+    },
+    all: {
+        name: 'All',
+        icon: '🗂️',
+        empty: 'No items yet',
+        filter: () => true
+    },
+    high: {
+        name: 'High priority',
+        icon: '🔥',
+        empty: 'No high priority items',
+        filter: (item) => item.priority === 'high' && !item.completed
+    },
+    tags: {
+        name: 'By tag',
+        icon: '🏷️',
+        empty: 'No tagged items',
+        filter: (item) => (item.tags || []).length > 0,
+        groupBy: (item) => item.tags
+    },
+    week: {
+        name: 'Completed this week',
+        icon: '✅',
+        empty: 'Nothing completed this week yet',
+        filter: (item) => lastCompletedAt(item) >= startOfWeek(),
+        sort: (a, b) => lastCompletedAt(b) - lastCompletedAt(a)
+    }
+};
+
+const DEFAULT_FILTER = { query: '', tag: '', priority: '' };
+
+export class TodoListTool {
+    constructor(container) {
+        this.container = container;
+        this.lists = {};
+        this.activeListId = null;
+        this.currentView = 'lists'; // 'lists', 'items' or 'smart'
+        this.activeSmartView = null; // SMART_VIEWS id while currentView is 'smart'
+        this.itemPath = [];          // ids of the items drilled into within the active list
+        this.filter = { ...DEFAULT_FILTER }; // narrows smart views, saved with the open view
+        this.backgroundColors = ['#4ecf9d', '#3f88c5', '#d72638', '#FF6B9F', '#FF9B54', '#B06BFF'];
+        this.lastDeleted = null; // { type, listId, entry, timeout } until the undo toast closes
+        this.dragging = null;    // { type, id } while a row is being dragged
+        this.refreshIntervalId = null;
+        
+        this.initialize();
+    }
+    
+    async initialize() {
+        await this.loadFromStorage();
+        await this.loadFilter();
+        this.render();
+        this.bindEvents();
+        this.applyBreathingBackgrounds();
+        this.refreshIntervalId = setInterval(() => this.refreshDueStatus(), REFRESH_INTERVAL);
+    }
+    
+    // Generate individual breathing circle animation for an element
+    createBreathingBackground(element) {
+        // Get current background color from main app (or use random)
+        const selectedColor = window.currentBackgroundColor || 
+                            this.backgroundColors[Math.floor(Math.random() * this.backgroundColors.length)];
+        
+        // Create a unique breathing circle for this element
+        const size = 80 + Math.random() * 120; // Smaller than main bg circles
+        const delay = Math.random() * 20;
+        const duration = 15 + Math.random() * 10; // Slightly faster than main
+        const opacity = 0.15 + Math.random() * 0.2; // More subtle
+        
+        element.style.position = 'relative';
+        element.style.overflow = 'hidden';
+        
+        // Create the breathing circle
+        const circle = document.createElement('div');
+        circle.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            width: ${size}px;
+            height: ${size}px;
+            background-color: ${selectedColor};
+            border-radius: 50%;
+            transform: translate(-50%, -50%);
+            filter: blur(30px);
+            opacity: ${opacity};
+            animation: breathingPulse ${duration}s infinite alternate ease-in-out ${delay}s;
+            z-index: 0;
+            pointer-events: none;
+        `;
+        
+        element.insertBefore(circle, element.firstChild);
+        
+        // Ensure text content stays above the circle
+        const textElements = element.querySelectorAll('*:not([style*="z-index"])');
+        textElements.forEach(el => {
+            el.style.position = 'relative';
+            el.style.zIndex = '1';
+        });
+    }
+    
+    // Apply breathing backgrounds to all todo components
+    applyBreathingBackgrounds() {
+        // Add CSS animation if not already present
+        if (!document.getElementById('breathing-animation')) {
+            const style = document.createElement('style');
+            style.id = 'breathing-animation';
+            style.textContent = `
+                @keyframes breathingPulse {
+                    0% {
+                        transform: translate(-50%, -50%) scale(0.8);
+                        opacity: 0.1;
+                    }
+                    100% {
+                        transform: translate(-50%, -50%) scale(1.2);
+                        opacity: 0.3;
+                    }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        
+        // Apply to all todo components
+        setTimeout(() => {
+            const todoItems = this.container.querySelectorAll('.todo-list-item, .todo-item, .add-button, .back-button, .confirm-add, .cancel-add');
+            todoItems.forEach(element => {
+                if (!element.querySelector('div[style*="breathingPulse"]')) {
+                    this.createBreathingBackground(element);
+                }
+            });
+        }, 100); // Small delay to ensure elements are rendered
+    }
+    
+    render() {
+        this.container.innerHTML = `
+            <div class="todo-container" style="
+                font-family: 'Quicksand', sans-serif;
+                padding: 10px;
+            ">
+                <div class="todo-header" style="
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    margin-bottom: 15px;
+                ">
+                    <div class="todo-breadcrumb" style="
+                        font-size: 14px;
+                        font-weight: 600;
+                        color: var(--text-primary);
+                    "></div>
+                    <button class="add-button">+ Add</button>
+                </div>
+                
+                <div class="todo-content" style="
+                    max-height: 400px;
+                    overflow-y: auto;
+                ">
+                    <!-- Dynamic content will be rendered here -->
+                </div>
+                
+                <!-- Add item input (hidden by default) -->
+                <div class="add-item-input" style="
+                    display: none;
+                    margin-top: 10px;
+                    border-top: 2px solid #f0f0f0;
+                    padding-top: 10px;
+                ">
+                    <input type="text" class="new-item-text" placeholder="What needs to be done?" style="
+                        width: 100%;
+                        padding: 8px 12px;
+                        border: 2px solid var(--text-primary);
+                        border-radius: 8px;
+                        font-family: 'Quicksand', sans-serif;
+                        font-size: 14px;
+                        outline: none;
+                        background: var(--not-white);
+                        color: var(--text-primary);
+                    ">
+                    <div style="margin-top: 8px; text-align: right;">
+                        <button class="cancel-add">Cancel</button>
+                        <button class="confirm-add">Add</button>
+                    </div>
+                </div>
+                
+                <!-- Undo toast after a delete -->
+                <div class="todo-undo" style="display: none;">
+                    <span class="todo-undo-text"></span>
+                    <button class="todo-undo-button">Undo</button>
+                </div>
+            </div>
+            
+            <style>
+                .add-button {
+                    background: transparent !important;
+                    color: var(--text-primary) !important;
+                    border: 3px solid var(--text-primary) !important;
+                    border-radius: 20px !important;
+                    padding: 6px 12px !important;
+                    font-size: 12px !important;
+                    font-weight: 700 !important;
+                    cursor: pointer !important;
+                    transition: all 0.2s ease !important;
+                    font-family: 'Quicksand', sans-serif !important;
+                }
+                
+                .cancel-add, .confirm-add {
+                    background: transparent !important;
+                    color: var(--text-primary) !important;
+                    border: 3px solid var(--text-primary) !important;
+                    border-radius: 20px !important;
+                    padding: 6px 12px !important;
+                    font-size: 11px !important;
+                    font-weight: 700 !important;
+                    cursor: pointer !important;
+                    font-family: 'Quicksand', sans-serif !important;
+                    transition: all 0.2s ease !important;
+                }
+                
+                .cancel-add {
+                    margin-right: 5px;
+                }
+                
+                .todo-list-item, .todo-item {
+                    background: transparent;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 12px;
+                    margin-bottom: 8px;
+                    padding: 12px 15px;
+                    cursor: pointer;
+                    transition: all 0.2s ease;
+                    font-weight: 600;
+                    position: relative;
+                    color: var(--text-primary);
+                }
+                
+                .todo-list-item:hover, .todo-item:hover {
+                    background: var(--text-primary) !important;
+                    color: var(--not-white) !important;
+                    transform: translateY(-1px);
+                    box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+                }
+                
+                .todo-list-item:hover .todo-list-meta {
+                    color: #e0e0e0 !important;
+                }
+                
+                .todo-item.completed {
+                    text-decoration: line-through;
+                    opacity: 0.7;
+                    background: #f0f8f0;
+                    border-color: #4ecf9d;
+                }
+                
+                .todo-item.completed::before {
+                    content: "✓";
+                    position: absolute;
+                    left: 8px;
+                    top: 50%;
+                    transform: translateY(-50%);
+                    color: #4ecf9d;
+                    font-weight: bold;
+                    font-size: 16px;
+                }
+                
+                .todo-item.completed:hover::before {
+                    color: #4ecf9d !important;
+                }
+                
+                .todo-item.completed {
+                    padding-left: 30px;
+                }
+                
+                .todo-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                }
+                
+                .todo-text {
+                    flex: 1;
+                    min-width: 0;
+                    word-break: break-word;
+                }
+                
+                .todo-actions {
+                    display: flex;
+                    gap: 2px;
+                    opacity: 0;
+                    transition: opacity 0.2s ease;
+                }
+                
+                .todo-list-item:hover .todo-actions, .todo-item:hover .todo-actions {
+                    opacity: 1;
+                }
+                
+                .todo-action {
+                    background: transparent;
+                    border: none;
+                    padding: 0 3px;
+                    margin: 0;
+                    font-size: 12px;
+                    cursor: pointer;
+                    color: inherit;
+                    text-decoration: none;
+                }
+                
+                .todo-edit-input {
+                    flex: 1;
+                    min-width: 0;
+                    padding: 2px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 6px;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 13px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                }
+                
+                .todo-list-name {
+                    cursor: text;
+                    border-bottom: 1px dashed var(--text-secondary);
+                }
+                
+                .todo-list-item.dragging, .todo-item.dragging {
+                    opacity: 0.4;
+                }
+                
+                .todo-list-item.drop-before, .todo-item.drop-before {
+                    box-shadow: 0 -3px 0 var(--candu-blue);
+                }
+                
+                .todo-list-item.drop-after, .todo-item.drop-after {
+                    box-shadow: 0 3px 0 var(--candu-blue);
+                }
+                
+                .todo-undo {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 8px;
+                    margin-top: 8px;
+                    padding: 6px 10px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 12px;
+                    background: var(--translucent-bg);
+                    color: var(--text-primary);
+                    font-size: 12px;
+                    font-weight: 600;
+                }
+                
+                .todo-undo-button {
+                    padding: 2px 10px;
+                    margin: 0;
+                    font-size: 11px;
+                }
+                
+                .todo-item.overdue {
+                    border-color: var(--danger);
+                }
+                
+                .todo-due {
+                    font-size: 10px;
+                    font-weight: 700;
+                    white-space: nowrap;
+                    color: var(--text-secondary);
+                }
+                
+                .todo-due.overdue { color: var(--danger); }
+                .todo-due.today { color: var(--oh-orange); }
+                
+                .todo-item:hover .todo-due {
+                    color: inherit;
+                }
+                
+                .todo-item-list {
+                    font-size: 10px;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                    white-space: nowrap;
+                }
+                
+                .todo-due-editor {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 6px;
+                    margin: -4px 0 8px;
+                    padding: 6px 8px;
+                    border: 2px dashed var(--text-primary);
+                    border-radius: 12px;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: var(--text-primary);
+                }
+                
+                .todo-due-editor input, .todo-due-editor select {
+                    padding: 2px 4px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 6px;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 11px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                }
+                
+                .todo-due-editor button {
+                    padding: 2px 8px;
+                    margin: 0;
+                    font-size: 11px;
+                }
+                
+                .todo-smart-view {
+                    border-style: dashed;
+                }
+                
+                .todo-priority {
+                    font-weight: 800;
+                    font-size: 12px;
+                }
+                
+                .todo-priority.high { color: var(--danger); }
+                .todo-priority.medium { color: var(--oh-orange); }
+                .todo-priority.low { color: var(--candu-blue); }
+                
+                .todo-tag {
+                    font-size: 10px;
+                    font-weight: 700;
+                    padding: 0 5px;
+                    border: 1px solid currentColor;
+                    border-radius: 8px;
+                    white-space: nowrap;
+                    cursor: pointer;
+                }
+                
+                .todo-item:hover .todo-priority {
+                    color: inherit;
+                }
+                
+                .todo-filter {
+                    display: flex;
+                    gap: 6px;
+                    margin-bottom: 8px;
+                }
+                
+                .todo-filter input, .todo-filter select {
+                    padding: 3px 6px;
+                    border: 2px solid var(--text-primary);
+                    border-radius: 8px;
+                    font-family: 'Quicksand', sans-serif;
+                    font-weight: 600;
+                    font-size: 11px;
+                    background: var(--not-white);
+                    color: var(--text-primary);
+                    min-width: 0;
+                }
+                
+                .todo-filter-query {
+                    flex: 1;
+                }
+                
+                .todo-repeat {
+                    font-size: 10px;
+                    font-weight: 700;
+                    white-space: nowrap;
+                    color: var(--please-purple);
+                }
+                
+                .todo-item:hover .todo-repeat {
+                    color: inherit;
+                }
+                
+                .todo-repeat-days label {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 1px;
+                    margin-right: 3px;
+                }
+                
+                .todo-repeat-day, .todo-repeat-interval {
+                    width: 48px;
+                }
+                
+                .todo-progress {
+                    font-size: 10px;
+                    font-weight: 700;
+                    padding: 0 5px;
+                    border-radius: 8px;
+                    background: var(--translucent-bg);
+                    white-space: nowrap;
+                }
+                
+                .todo-progress.done {
+                    color: var(--udu-green);
+                }
+                
+                .todo-crumb {
+                    cursor: pointer;
+                    opacity: 0.7;
+                }
+                
+                .todo-crumb:hover {
+                    opacity: 1;
+                    text-decoration: underline;
+                }
+                
+                .todo-auto-complete {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                    margin-bottom: 8px;
+                    cursor: pointer;
+                }
+                
+                .todo-group {
+                    font-size: 11px;
+                    font-weight: 700;
+                    color: var(--text-secondary);
+                    margin: 6px 0 4px;
+                }
+                
+                .todo-list-meta {
+                    font-size: 12px;
+                    color: var(--text-secondary);
+                    font-weight: 500;
+                    margin-top: 4px;
+                }
+                
+                .back-button {
+                    background: transparent;
+                    color: var(--text-primary);
+                    border: 3px solid var(--text-primary);
+                    border-radius: 20px;
+                    padding: 6px 12px;
+                    font-size: 11px;
+                    font-weight: 700;
+                    cursor: pointer;
+                    margin-right: 10px;
+                    font-family: 'Quicksand', sans-serif;
+                    transition: all 0.2s ease;
+                }
+                
+                .back-button:hover, .add-button:hover, .cancel-add:hover, .confirm-add:hover {
+                    background: var(--text-primary) !important;
+                    color: var(--not-white) !important;
+                    transform: translateY(-1px);
+                    box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+                }
+                
+                /* Responsive adjustments */
+                @media (max-height: 250px) {
+                    .todo-container { padding: 4px !important; }
+                    .todo-header { margin-bottom: 8px !important; }
+                    .todo-content { max-height: 120px !important; }
+                    .todo-list-item, .todo-item { 
+                        padding: 6px 8px !important; 
+                        margin-bottom: 4px !important; 
+                        font-size: 11px !important;
+                    }
+                    .todo-breadcrumb { font-size: 10px !important; }
+                    .add-button { padding: 3px 8px !important; font-size: 10px !important; }
+                    .todo-undo { margin-top: 4px; padding: 3px 6px; font-size: 10px; }
+                    .todo-item-list { display: none; }
+                    .todo-filter { margin-bottom: 4px; }
+                    .todo-tag { display: none; }
+                }
+                
+                @media (max-width: 250px) {
+                    .todo-header { flex-direction: column !important; gap: 5px !important; }
+                    .todo-list-item, .todo-item { font-size: 12px !important; }
+                    .todo-item-list { display: none; }
+                    .todo-filter { flex-direction: column; }
+                }
+            </style>
+        `;
+        
+        this.updateView();
+    }
+    
+    bindEvents() {
+        const addButton = this.container.querySelector('.add-button');
+        const confirmAdd = this.container.querySelector('.confirm-add');
+        const cancelAdd = this.container.querySelector('.cancel-add');
+        const newItemInput = this.container.querySelector('.new-item-text');
+        
+        addButton.addEventListener('click', () => this.showAddInput());
+        confirmAdd.addEventListener('click', async () => await this.handleAdd());
+        cancelAdd.addEventListener('click', () => this.hideAddInput());
+        
+        newItemInput.addEventListener('keypress', async (e) => {
+            if (e.key === 'Enter') await this.handleAdd();
+            if (e.key === 'Escape') this.hideAddInput();
+        });
+        
+        this.container.querySelector('.todo-undo-button').addEventListener('click', () => this.undoDelete());
+    }
+    
+    updateView() {
+        const content = this.container.querySelector('.todo-content');
+        const breadcrumb = this.container.querySelector('.todo-breadcrumb');
+        
+        // Smart views have no list to add to
+        this.container.querySelector('.add-button').style.display = this.currentView === 'smart' ? 'none' : '';
+        
+        if (this.currentView === 'lists') {
+            breadcrumb.innerHTML = '📝 Todo Lists';
+            content.innerHTML = this.renderLists();
+            this.bindContentEvents(); // Fix: Rebind events after rendering lists
+        } else if (this.currentView === 'items') {
+            const activeList = this.lists[this.activeListId];
+            const path = this.getPathItems();
+            this.itemPath = path.map(item => item.id); // Drop ids of items deleted meanwhile
+            
+            if (path.length === 0) {
+                breadcrumb.innerHTML = `
+                    <button class="back-button">← Back</button>
+                    📋 <span class="todo-list-name" title="Click to rename">${this.escapeHtml(activeList.name)}</span>
+                `;
+                breadcrumb.querySelector('.todo-list-name').addEventListener('click', () => this.startRenameList());
+            } else {
+                // Earlier crumbs navigate back up, the last one renames the item
+                const current = path[path.length - 1];
+                const crumbs = [activeList.name, ...path.slice(0, -1).map(item => item.text)]
+                    .map((name, depth) => `<span class="todo-crumb" data-depth="${depth}">${this.escapeHtml(name)}</span>`);
+                breadcrumb.innerHTML = `
+                    <button class="back-button">← Back</button>
+                    📋 ${crumbs.join(' › ')} › <span class="todo-list-name todo-text" title="Click to rename">${this.escapeHtml(current.text)}</span>
+                `;
+                breadcrumb.querySelectorAll('.todo-crumb').forEach(crumb => {
+                    crumb.addEventListener('click', () => this.showPath(this.itemPath.slice(0, parseInt(crumb.getAttribute('data-depth')))));
+                });
+                breadcrumb.querySelector('.todo-list-name').addEventListener('click', () => this.startEditItem(current.id, breadcrumb));
+            }
+            content.innerHTML = this.renderItems();
+            
+            // Bind back button - up one level, or back to the lists
+            const backButton = breadcrumb.querySelector('.back-button');
+            backButton.addEventListener('click', () => {
+                if (this.itemPath.length > 0) {
+                    this.showPath(this.itemPath.slice(0, -1));
+                } else {
+                    this.showLists();
+                }
+            });
+            
+            const autoComplete = content.querySelector('.todo-auto-complete input');
+            if (autoComplete) {
+                autoComplete.addEventListener('change', async (e) => await this.setAutoComplete(path[path.length - 1], e.target.checked));
+            }
+            
+            this.bindContentEvents(); // Fix: Rebind events after rendering items
+        } else if (this.currentView === 'smart') {
+            const view = SMART_VIEWS[this.activeSmartView];
+            breadcrumb.innerHTML = `
+                <button class="back-button">← Back</button>
+                ${view.icon} ${view.name}
+            `;
+            content.innerHTML = this.renderSmartView();
+            
+            breadcrumb.querySelector('.back-button').addEventListener('click', () => this.showLists());
+            this.bindFilterEvents();
+            this.bindContentEvents();
+        }
+    }
+    
+    renderLists() {
+        const lists = this.getSortedLists();
+        
+        if (lists.length === 0) {
+            return `
+                <div style="text-align: center; color: #6c757d; padding: 40px 20px;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">📝</div>
+                    <div style="font-weight: 600; margin-bottom: 5px;">No lists yet</div>
+                    <div style="font-size: 14px;">Click "+ Add" to create your first todo list</div>
+                </div>
+            `;
+        }
+        
+        const smartViews = Object.entries(SMART_VIEWS).map(([id, view]) => `
+            <div class="todo-list-item todo-smart-view" data-smart-view="${id}">
+                <div class="todo-row">
+                    <span class="todo-text">${view.icon} ${view.name}</span>
+                </div>
+                <div class="todo-list-meta">${this.describeSmartView(id)}</div>
+            </div>
+        `).join('');
+        
+        return smartViews + lists.map(list => {
+            const totalItems = list.items.length;
+            const completedItems = list.items.filter(item => item.completed).length;
+            
+            return `
+                <div class="todo-list-item" data-list-id="${list.id}" draggable="true">
+                    <div class="todo-row">
+                        <span class="todo-text">${this.escapeHtml(list.name)}</span>
+                        <span class="todo-actions">
+                            <button class="todo-action todo-delete" title="Delete list">🗑</button>
+                        </span>
+                    </div>
+                    <div class="todo-list-meta">
+                        ${completedItems}/${totalItems} completed
+                        ${totalItems === 0 ? '' : `• ${Math.round((completedItems/totalItems) * 100)}%`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    renderItems() {
+        const items = this.getCurrentItems();
+        const parent = this.getPathItems().pop();
+        
+        // Drilled into an item - its auto-complete option heads the subtasks
+        const autoComplete = parent ? `
+            <label class="todo-auto-complete">
+                <input type="checkbox" ${parent.autoComplete ? 'checked' : ''}>
+                Complete when all subtasks are done
+            </label>
+        ` : '';
+        
+        if (!items || items.length === 0) {
+            return autoComplete + `
+                <div style="text-align: center; color: #6c757d; padding: 40px 20px;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">📋</div>
+                    <div style="font-weight: 600; margin-bottom: 5px;">${parent ? 'No subtasks yet' : 'No items yet'}</div>
+                    <div style="font-size: 14px;">Click "+ Add" to add your first ${parent ? 'subtask' : 'todo item'}</div>
+                </div>
+            `;
+        }
+        
+        // Incomplete first, then completed - each group in the stored order
+        const sortedItems = this.sortItems(items).sort((a, b) => {
+            if (isChecked(a) !== isChecked(b)) {
+                return isChecked(a) ? 1 : -1;
+            }
+            return 0;
+        });
+        
+        return autoComplete + sortedItems.map(item => this.renderItemRow(item)).join('');
+    }
+    
+    // One item - location ({ list, parents }) is given in smart views, where rows
+    // show where the item lives and can't be dragged
+    renderItemRow(item, location = null) {
+        const status = getDueStatus(item);
+        const priority = PRIORITIES[item.priority];
+        const subtasks = item.subtasks || [];
+        const subtasksDone = subtasks.filter(subtask => subtask.completed).length;
+        const progress = subtasks.length > 0 ? `
+            <span class="todo-progress ${subtasksDone === subtasks.length ? 'done' : ''}" title="Subtasks done">${subtasksDone}/${subtasks.length}</span>
+        ` : '';
+        const repeat = item.recurrence ? `
+            <span class="todo-repeat" title="${describeRecurrence(item.recurrence)} · ${recurrenceStreak(item)} on time in a row">🔁 ${recurrenceStreak(item)}</span>
+        ` : '';
+        const where = location ? [location.list.name, ...location.parents.map(parent => parent.text)].join(' › ') : '';
+        const classes = ['todo-item', 'todo-row', isChecked(item) ? 'completed' : '', status === 'overdue' ? 'overdue' : ''].join(' ');
+        const due = item.due ? `
+            <span class="todo-due ${status || ''}" title="${item.reminder !== null && item.reminder !== undefined ? 'Reminder set' : 'Due'}">📅 ${formatDue(item)}${item.reminder !== null && item.reminder !== undefined ? ' ⏰' : ''}</span>
+        ` : '';
+        
+        return `
+            <div class="${classes}" data-item-id="${item.id}" draggable="${location ? 'false' : 'true'}">
+                ${priority ? `<span class="todo-priority ${item.priority}" title="${priority.label} priority">${priority.marker}</span>` : ''}
+                <span class="todo-text">${this.escapeHtml(item.text)}</span>
+                ${(item.tags || []).map(tag => `<span class="todo-tag" data-tag="${this.escapeHtml(tag)}" title="Show items tagged #${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</span>`).join('')}
+                ${location ? `<span class="todo-item-list">${this.escapeHtml(where)}</span>` : ''}
+                ${progress}
+                ${due}
+                ${repeat}
+                <span class="todo-actions">
+                    <button class="todo-action todo-open" title="Subtasks">›</button>
+                    <button class="todo-action todo-due-button" title="Due date">📅</button>
+                    <button class="todo-action todo-edit" title="Edit">✎</button>
+                    <button class="todo-action todo-delete" title="Delete">🗑</button>
+                </span>
+            </div>
+        `;
+    }
+    
+    // Items (subtasks included) of every list that belong in the smart view, with the
+    // list and parent items they're in - narrowed by the filter unless unfiltered is
+    // set (the counts on the lists page)
+    getSmartViewEntries(viewId, unfiltered = false) {
+        const view = SMART_VIEWS[viewId];
+        const collect = (list, items, parents) => this.sortItems(items).flatMap(item => [
+            { list, item, parents },
+            ...collect(list, item.subtasks || [], [...parents, item])
+        ]);
+        return this.getSortedLists()
+            .flatMap(list => collect(list, list.items, []))
+            .filter(({ item }) => view.filter(item) && (unfiltered || this.matchesFilter(item)))
+            .sort((a, b) => {
+                if (a.item.completed !== b.item.completed) {
+                    return a.item.completed ? 1 : -1;
+                }
+                return view.sort ? view.sort(a.item, b.item) : 0;
+            });
+    }
+    
+    matchesFilter(item) {
+        const { query, tag, priority } = this.filter;
+        const tags = item.tags || [];
+        if (tag && !tags.includes(tag)) return false;
+        if (priority && item.priority !== priority) return false;
+        if (query) {
+            const needle = query.toLowerCase();
+            return item.text.toLowerCase().includes(needle) || tags.some(t => t.includes(needle));
+        }
+        return true;
+    }
+    
+    getAllTags() {
+        const tags = Object.values(this.lists).flatMap(list => flattenItems(list.items).flatMap(item => item.tags || []));
+        return [...new Set(tags)].sort();
+    }
+    
+    describeSmartView(viewId) {
+        const entries = this.getSmartViewEntries(viewId, true);
+        const open = entries.filter(({ item }) => !item.completed);
+        if (viewId === 'today') {
+            const overdue = open.filter(({ item }) => getDueStatus(item) === 'overdue').length;
+            if (open.length === 0) return SMART_VIEWS.today.empty;
+            return overdue > 0 ? `${open.length} due • ${overdue} overdue` : `${open.length} due`;
+        }
+        if (viewId === 'week') {
+            return `${entries.length} completed`;
+        }
+        if (viewId === 'tags') {
+            return `${this.getAllTags().length} tags • ${open.length} open`;
+        }
+        return `${open.length} open`;
+    }
+    
+    renderSmartView() {
+        const tags = this.getAllTags();
+        if (this.filter.tag && !tags.includes(this.filter.tag)) {
+            this.filter.tag = '';
+        }
+        
+        return `
+            <div class="todo-filter">
+                <input type="search" class="todo-filter-query" placeholder="Filter..." value="${this.escapeHtml(this.filter.query)}">
+                ${tags.length > 0 ? `
+                    <select class="todo-filter-tag">
+                        <option value="">All tags</option>
+                        ${tags.map(tag => `<option value="${this.escapeHtml(tag)}" ${tag === this.filter.tag ? 'selected' : ''}>#${this.escapeHtml(tag)}</option>`).join('')}
+                    </select>
+                ` : ''}
+                <select class="todo-filter-priority">
+                    <option value="">Any priority</option>
+                    ${Object.entries(PRIORITIES).map(([id, priority]) => `<option value="${id}" ${id === this.filter.priority ? 'selected' : ''}>${priority.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="todo-smart-items">${this.renderSmartItems()}</div>
+        `;
+    }
+    
+    renderSmartItems() {
+        const view = SMART_VIEWS[this.activeSmartView];
+        const entries = this.getSmartViewEntries(this.activeSmartView);
+        
+        if (entries.length === 0) {
+            return `
+                <div style="text-align: center; color: #6c757d; padding: 40px 20px;">
+                    <div style="font-size: 48px; margin-bottom: 10px;">${view.icon}</div>
+                    <div style="font-weight: 600; margin-bottom: 5px;">${view.empty}</div>
+                </div>
+            `;
+        }
+        
+        if (view.groupBy) {
+            const groups = [...new Set(entries.flatMap(({ item }) => view.groupBy(item)))]
+                .filter(group => !this.filter.tag || group === this.filter.tag)
+                .sort();
+            return groups.map(group => `
+                <div class="todo-group">#${this.escapeHtml(group)}</div>
+                ${entries
+                    .filter(({ item }) => view.groupBy(item).includes(group))
+                    .map(entry => this.renderItemRow(entry.item, entry))
+                    .join('')}
+            `).join('');
+        }
+        
+        return entries.map(entry => this.renderItemRow(entry.item, entry)).join('');
+    }
+    
+    bindFilterEvents() {
+        const update = (key, value) => {
+            this.filter[key] = value;
+            this.saveFilter();
+            
+            // Only the items re-render, so the search box keeps focus
+            this.container.querySelector('.todo-smart-items').innerHTML = this.renderSmartItems();
+            this.bindContentEvents();
+            this.applyBreathingBackgrounds();
+        };
+        
+        this.container.querySelector('.todo-filter-query').addEventListener('input', (e) => update('query', e.target.value));
+        this.container.querySelector('.todo-filter-priority').addEventListener('change', (e) => update('priority', e.target.value));
+        const tagSelect = this.container.querySelector('.todo-filter-tag');
+        if (tagSelect) {
+            tagSelect.addEventListener('change', (e) => update('tag', e.target.value));
+        }
+    }
+    
+    showAddInput() {
+        const addInput = this.container.querySelector('.add-item-input');
+        const textInput = this.container.querySelector('.new-item-text');
+        
+        addInput.style.display = 'block';
+        textInput.focus();
+        textInput.value = '';
+        
+        if (this.currentView === 'lists') {
+            textInput.placeholder = 'List name (e.g., "Work Tasks", "Shopping")';
+        } else if (this.itemPath.length > 0) {
+            textInput.placeholder = 'Add a subtask (!high #tag)';
+        } else {
+            textInput.placeholder = 'What needs to be done? (!high #tag)';
+        }
+    }
+    
+    hideAddInput() {
+        const addInput = this.container.querySelector('.add-item-input');
+        addInput.style.display = 'none';
+    }
+    
+    async handleAdd() {
+        const textInput = this.container.querySelector('.new-item-text');
+        const text = textInput.value.trim();
+        
+        if (!text) return;
+        
+        if (this.currentView === 'lists') {
+            this.createList(text);
+        } else {
+            this.createItem(text);
+        }
+        
+        this.hideAddInput();
+        this.updateView();
+        await this.saveToStorage();
+    }
+    
+    createList(name) {
+        const listId = this.generateId();
+        this.lists[listId] = {
+            id: listId,
+            name: name,
+            items: [],
+            order: this.nextOrder(Object.values(this.lists)),
+            createdAt: Date.now()
+        };
+        
+        // Track list creation for analytics
+        if (window.usageAnalytics) {
+            window.usageAnalytics.trackTodoCreated(false); // false = list, not item
+        }
+    }
+    
+    // Adds to the list, or as a subtask of the item drilled into. Subtasks have the
+    // same shape at any depth; due / dueTime / reminder (todo-reminders.js) and
+    // recurrence / history (todo-recurrence.js) are added once set.
+    createItem(text) {
+        const items = this.getCurrentItems();
+        if (!items) return;
+        
+        const itemId = this.generateId();
+        const { text: itemText, priority, tags } = parseQuickAdd(text);
+        items.push({
+            id: itemId,
+            text: itemText,
+            priority,
+            tags,
+            subtasks: [],
+            completed: false,
+            order: this.nextOrder(items),
+            createdAt: Date.now(),
+            completedAt: null
+        });
+        
+        // A new open subtask reopens an auto-completed parent
+        this.syncParents(this.getPathItems());
+        
+        // Track item creation for analytics
+        if (window.usageAnalytics) {
+            window.usageAnalytics.trackTodoCreated(true); // true = item
+        }
+    }
+    
+    showLists() {
+        this.currentView = 'lists';
+        this.activeListId = null;
+        this.itemPath = [];
+        this.saveFilter();
+        this.updateView();
+        setTimeout(() => this.applyBreathingBackgrounds(), 50);
+    }
+    
+    showItems(listId) {
+        this.currentView = 'items';
+        this.activeListId = listId;
+        this.itemPath = [];
+        this.updateView();
+        setTimeout(() => this.applyBreathingBackgrounds(), 50);
+    }
+    
+    // Drill into the item at the end of itemPath within the active list
+    showPath(itemPath) {
+        this.currentView = 'items';
+        this.itemPath = itemPath;
+        this.hideAddInput();
+        this.updateView();
+        setTimeout(() => this.applyBreathingBackgrounds(), 50);
+    }
+    
+    // Open an item's subtasks from anywhere, smart views included
+    openItem(itemId) {
+        const { list, item, parents } = this.findItem(itemId);
+        if (!item) return;
+        
+        this.activeListId = list.id;
+        this.showPath([...parents.map(parent => parent.id), item.id]);
+    }
+    
+    showSmartView(viewId) {
+        this.currentView = 'smart';
+        this.activeListId = null;
+        this.itemPath = [];
+        this.activeSmartView = viewId;
+        this.saveFilter();
+        this.updateView();
+        setTimeout(() => this.applyBreathingBackgrounds(), 50);
+    }
+    
+    // Items along itemPath, from the top-level item down - stops at one that no longer exists
+    getPathItems() {
+        const list = this.lists[this.activeListId];
+        const path = [];
+        let items = list ? list.items : [];
+        for (const id of this.itemPath) {
+            const item = items.find(i => i.id === id);
+            if (!item) break;
+            path.push(item);
+            items = item.subtasks || (item.subtasks = []);
+        }
+        return path;
+    }
+    
+    // The items the items view shows - the list's, or the subtasks of the item drilled into
+    getCurrentItems() {
+        const list = this.lists[this.activeListId];
+        if (!list) return null;
+        
+        const parent = this.getPathItems().pop();
+        return parent ? parent.subtasks : list.items;
+    }
+    
+    // Find an item at any depth of any list - smart views show items from several.
+    // parents runs from the top-level item down to the direct parent; siblings is
+    // the array the item is in
+    findItem(itemId) {
+        const search = (items, parents) => {
+            for (const item of items) {
+                if (item.id === itemId) return { item, parents, siblings: items };
+                const found = search(item.subtasks || [], [...parents, item]);
+                if (found) return found;
+            }
+            return null;
+        };
+        
+        for (const list of Object.values(this.lists)) {
+            const found = search(list.items, []);
+            if (found) return { list, ...found };
+        }
+        return { list: null, item: null, parents: [], siblings: null };
+    }
+    
+    // A recurring item isn't marked done - it moves on to its next occurrence
+    // with fresh subtasks
+    setCompleted(item, completed) {
+        if (item.completed === completed) return;
+        
+        if (completed && item.recurrence) {
+            completeOccurrence(item);
+            (item.subtasks || []).forEach(subtask => {
+                subtask.completed = false;
+                subtask.completedAt = null;
+            });
+            if (window.updateStatus) {
+                window.updateStatus(`🔁 ${item.text} - next ${formatDue(item)}`, 'success', 3000);
+            }
+        } else {
+            item.completed = completed;
+            item.completedAt = completed ? Date.now() : null;
+        }
+        
+        // Track completion for analytics (only when marking as completed)
+        if (completed && window.usageAnalytics) {
+            window.usageAnalytics.trackTodoCompleted();
+        }
+    }
+    
+    // Parents that auto-complete follow their subtasks: done when all are, reopened when one isn't.
+    // parents runs top-down, so walk it from the nearest parent up
+    syncParents(parents) {
+        [...parents].reverse().forEach(parent => {
+            const subtasks = parent.subtasks || [];
+            if (parent.autoComplete && subtasks.length > 0) {
+                this.setCompleted(parent, subtasks.every(subtask => subtask.completed));
+            }
+        });
+    }
+    
+    async setAutoComplete(item, enabled) {
+        item.autoComplete = enabled;
+        this.syncParents([item]);
+        this.updateView();
+        this.applyBreathingBackgrounds();
+        await this.saveToStorage();
+    }
+    
+    async toggleItem(itemId) {
+        const { item, parents } = this.findItem(itemId);
+        if (item) {
+            if (item.recurrence && completedToday(item)) {
+                // Unchecking takes the occurrence back instead of completing the next one
+                undoOccurrence(item);
+                if (window.updateStatus) {
+                    window.updateStatus(`↩️ ${item.text} - due ${formatDue(item)} again`, 'primary', 3000);
+                }
+            } else {
+                this.setCompleted(item, !item.completed);
+            }
+            this.syncParents(parents);
+            
+            this.updateView();
+            await this.saveToStorage();
+        }
+    }
+    
+    bindContentEvents() {
+        // Bind list clicks
+        this.container.querySelectorAll('.todo-smart-view').forEach(item => {
+            item.addEventListener('click', () => this.showSmartView(item.getAttribute('data-smart-view')));
+        });
+        
+        const listItems = this.container.querySelectorAll('.todo-list-item[data-list-id]');
+        listItems.forEach(item => {
+            const listId = item.getAttribute('data-list-id');
+            item.addEventListener('click', () => {
+                this.showItems(listId);
+            });
+            item.querySelector('.todo-delete').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.deleteList(listId);
+            });
+            this.bindDrag(item, 'list', listId);
+        });
+        
+        // Bind item clicks
+        const todoItems = this.container.querySelectorAll('.todo-item');
+        todoItems.forEach(item => {
+            const itemId = item.getAttribute('data-item-id');
+            item.addEventListener('click', async () => {
+                if (item.querySelector('.todo-edit-input')) return;
+                await this.toggleItem(itemId);
+            });
+            item.querySelector('.todo-open').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openItem(itemId);
+            });
+            item.querySelector('.todo-due-button').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleDueEditor(itemId, item);
+            });
+            item.querySelector('.todo-edit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.startEditItem(itemId, item);
+            });
+            item.querySelectorAll('.todo-tag').forEach(tag => {
+                tag.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.filter.tag = tag.getAttribute('data-tag');
+                    this.showSmartView('tags');
+                });
+            });
+            item.querySelector('.todo-delete').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.deleteItem(itemId);
+            });
+            if (item.getAttribute('draggable') === 'true') {
+                this.bindDrag(item, 'item', itemId);
+            }
+        });
+    }
+    
+    // Ordering - lists and items carry an explicit order, renumbered 0..n-1 after a move
+    
+    getSortedLists() {
+        return Object.values(this.lists).sort((a, b) => a.order - b.order);
+    }
+    
+    sortItems(items) {
+        return [...items].sort((a, b) => a.order - b.order);
+    }
+    
+    nextOrder(entries) {
+        return entries.reduce((max, entry) => Math.max(max, entry.order ?? -1), -1) + 1;
+    }
+    
+    // Data saved before explicit ordering gets the old createdAt order
+    normalizeOrder() {
+        const byCreation = (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.createdAt - b.createdAt;
+        const normalizeItems = (items) => items.sort(byCreation).forEach((item, index) => {
+            item.order = index;
+            normalizeItems(item.subtasks || []);
+        });
+        Object.values(this.lists).sort(byCreation).forEach((list, index) => {
+            list.order = index;
+            normalizeItems(list.items);
+        });
+    }
+    
+    // Move draggedId next to targetId (before it, or after it when after is true)
+    reorder(entries, draggedId, targetId, after) {
+        const sorted = [...entries].sort((a, b) => a.order - b.order);
+        const dragged = sorted.find(entry => entry.id === draggedId);
+        if (!dragged || draggedId === targetId) return false;
+        
+        const remaining = sorted.filter(entry => entry !== dragged);
+        const targetIndex = remaining.findIndex(entry => entry.id === targetId);
+        if (targetIndex === -1) return false;
+        
+        remaining.splice(after ? targetIndex + 1 : targetIndex, 0, dragged);
+        remaining.forEach((entry, index) => {
+            entry.order = index;
+        });
+        return true;
+    }
+    
+    async moveList(draggedId, targetId, after) {
+        if (this.reorder(Object.values(this.lists), draggedId, targetId, after)) {
+            this.updateView();
+            this.applyBreathingBackgrounds();
+            await this.saveToStorage();
+        }
+    }
+    
+    async moveItem(draggedId, targetId, after) {
+        const items = this.getCurrentItems();
+        if (items && this.reorder(items, draggedId, targetId, after)) {
+            items.sort((a, b) => a.order - b.order);
+            this.updateView();
+            this.applyBreathingBackgrounds();
+            await this.saveToStorage();
+        }
+    }
+    
+    bindDrag(element, type, id) {
+        const clearMarkers = () => element.classList.remove('drop-before', 'drop-after');
+        const isAfter = (e) => {
+            const rect = element.getBoundingClientRect();
+            return e.clientY > rect.top + rect.height / 2;
+        };
+        
+        element.addEventListener('dragstart', (e) => {
+            this.dragging = { type, id };
+            element.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', id);
+        });
+        element.addEventListener('dragend', () => {
+            this.dragging = null;
+            element.classList.remove('dragging');
+        });
+        element.addEventListener('dragover', (e) => {
+            if (!this.dragging || this.dragging.type !== type || this.dragging.id === id) return;
+            e.preventDefault();
+            const after = isAfter(e);
+            element.classList.toggle('drop-after', after);
+            element.classList.toggle('drop-before', !after);
+        });
+        element.addEventListener('dragleave', clearMarkers);
+        element.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            clearMarkers();
+            if (!this.dragging || this.dragging.type !== type) return;
+            
+            const draggedId = this.dragging.id;
+            this.dragging = null;
+            if (type === 'list') {
+                await this.moveList(draggedId, id, isAfter(e));
+            } else {
+                await this.moveItem(draggedId, id, isAfter(e));
+            }
+        });
+    }
+    
+    // Editing
+    
+    // Swap an element's text for an input; onCommit gets the trimmed new text
+    // (Enter or leaving the field), Escape or an empty value keeps the old one
+    startInlineEdit(textElement, value, onCommit) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'todo-edit-input';
+        input.value = value;
+        textElement.replaceWith(input);
+        input.focus();
+        input.select();
+        
+        let done = false;
+        const finish = async (save) => {
+            if (done) return;
+            done = true;
+            const text = input.value.trim();
+            if (save && text && text !== value) {
+                await onCommit(text);
+            } else {
+                this.updateView();
+                this.applyBreathingBackgrounds();
+            }
+        };
+        
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+    
+    // Edits the quick-add form of the item, so priority and tags can change too.
+    // row picks which rendering to edit when the item is shown more than once (By tag)
+    startEditItem(itemId, row = null) {
+        const { item } = this.findItem(itemId);
+        const element = (row || this.container.querySelector(`.todo-item[data-item-id="${itemId}"]`))?.querySelector('.todo-text');
+        if (!item || !element) return;
+        
+        this.startInlineEdit(element, formatQuickAdd(item), async (text) => {
+            const parsed = parseQuickAdd(text);
+            item.text = parsed.text;
+            item.priority = parsed.priority;
+            item.tags = parsed.tags;
+            this.updateView();
+            this.applyBreathingBackgrounds();
+            await this.saveToStorage();
+        });
+    }
+    
+    startRenameList() {
+        const list = this.lists[this.activeListId];
+        const element = this.container.querySelector('.todo-list-name');
+        if (!list || !element) return;
+        
+        this.startInlineEdit(element, list.name, async (name) => {
+            list.name = name;
+            this.updateView();
+            this.applyBreathingBackgrounds();
+            await this.saveToStorage();
+        });
+    }
+    
+    // Due dates
+    
+    // Open the due date / reminder editor under an item, or close it if it's already open
+    toggleDueEditor(itemId, row = null) {
+        const open = this.container.querySelector('.todo-due-editor');
+        if (open) {
+            open.remove();
+            if (open.getAttribute('data-item-id') === itemId) return;
+        }
+        
+        const { item } = this.findItem(itemId);
+        row = row || this.container.querySelector(`.todo-item[data-item-id="${itemId}"]`);
+        if (!item || !row) return;
+        
+        const reminder = item.reminder === undefined ? null : item.reminder;
+        const recurrence = item.recurrence || {};
+        const editor = document.createElement('div');
+        editor.className = 'todo-due-editor';
+        editor.setAttribute('data-item-id', itemId);
+        editor.innerHTML = `
+            <input type="date" class="todo-due-date" value="${item.due || ''}">
+            <input type="time" class="todo-due-time" value="${item.dueTime || ''}">
+            <select class="todo-due-reminder">
+                ${REMINDER_OPTIONS.map(option => `
+                    <option value="${option.minutes === null ? '' : option.minutes}" ${option.minutes === reminder ? 'selected' : ''}>${option.label}</option>
+                `).join('')}
+            </select>
+            <select class="todo-repeat-type">
+                <option value="">Doesn't repeat</option>
+                ${Object.entries(RECURRENCE_TYPES).map(([type, label]) => `
+                    <option value="${type}" ${type === recurrence.type ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+            <span class="todo-repeat-days">
+                ${WEEKDAY_NAMES.map((name, day) => `
+                    <label><input type="checkbox" value="${day}" ${(recurrence.days || []).includes(day) ? 'checked' : ''}>${name}</label>
+                `).join('')}
+            </span>
+            <input type="number" class="todo-repeat-day" min="1" max="31" value="${recurrence.day || new Date().getDate()}" title="Day of the month">
+            <input type="number" class="todo-repeat-interval" min="1" max="365" value="${recurrence.interval || 1}" title="Days after done">
+            <button class="todo-due-clear">Clear</button>
+            <button class="todo-due-save">Save</button>
+        `;
+        row.after(editor);
+        
+        // Only the fields of the chosen repeat type are shown
+        const repeatType = editor.querySelector('.todo-repeat-type');
+        const showRepeatFields = () => {
+            editor.querySelector('.todo-repeat-days').style.display = repeatType.value === 'weekly' ? '' : 'none';
+            editor.querySelector('.todo-repeat-day').style.display = repeatType.value === 'monthly' ? '' : 'none';
+            editor.querySelector('.todo-repeat-interval').style.display = repeatType.value === 'afterCompletion' ? '' : 'none';
+        };
+        repeatType.addEventListener('change', showRepeatFields);
+        showRepeatFields();
+        
+        editor.querySelector('.todo-due-clear').addEventListener('click', async () => {
+            await this.setDue(itemId, null, null, null, null);
+        });
+        editor.querySelector('.todo-due-save').addEventListener('click', async () => {
+            const reminderValue = editor.querySelector('.todo-due-reminder').value;
+            await this.setDue(
+                itemId,
+                editor.querySelector('.todo-due-date').value || null,
+                editor.querySelector('.todo-due-time').value || null,
+                reminderValue === '' ? null : parseInt(reminderValue),
+                this.readRecurrence(editor)
+            );
+        });
+    }
+    
+    readRecurrence(editor) {
+        const type = editor.querySelector('.todo-repeat-type').value;
+        const days = [...editor.querySelectorAll('.todo-repeat-days input:checked')].map(input => parseInt(input.value));
+        const date = editor.querySelector('.todo-due-date').value;
+        
+        return normalizeRecurrence({
+            type,
+            // Weekly with no day ticked repeats on the due date's weekday
+            days: days.length > 0 ? days : [(date ? new Date(`${date}T00:00`) : new Date()).getDay()],
+            day: editor.querySelector('.todo-repeat-day').value,
+            interval: editor.querySelector('.todo-repeat-interval').value
+        });
+    }
+    
+    // A time or reminder needs a date; changing any of them re-arms the reminder.
+    // A repeating item without a date starts at the rule's first occurrence
+    async setDue(itemId, due, dueTime, reminder, recurrence) {
+        const { item } = this.findItem(itemId);
+        if (!item) return;
+        
+        if (recurrence && !due) {
+            due = firstOccurrence(recurrence);
+        }
+        item.due = due;
+        item.dueTime = due ? dueTime : null;
+        item.reminder = due ? reminder : null;
+        item.remindedAt = null;
+        item.recurrence = recurrence;
+        
+        this.updateView();
+        this.applyBreathingBackgrounds();
+        await this.saveToStorage();
+    }
+    
+    // Periodic re-render for due status - skipped while something is being edited or dragged
+    refreshDueStatus() {
+        if (this.dragging || this.container.querySelector('.todo-edit-input, .todo-due-editor')) return;
+        if (!this.container.querySelector('.todo-content')) return;
+        
+        this.updateView();
+        this.applyBreathingBackgrounds();
+    }
+    
+    // Deleting - the last deletion can be undone until its toast closes
+    
+    async deleteItem(itemId) {
+        const { list, item, parents, siblings } = this.findItem(itemId);
+        if (!item) return;
+        
+        siblings.splice(siblings.indexOf(item), 1);
+        this.syncParents(parents);
+        const parent = parents[parents.length - 1];
+        this.showUndo({ type: 'item', listId: list.id, parentId: parent ? parent.id : null, entry: item }, `Deleted "${item.text}"`);
+        this.updateView();
+        this.applyBreathingBackgrounds();
+        await this.saveToStorage();
+    }
+    
+    async deleteList(listId) {
+        const list = this.lists[listId];
+        if (!list) return;
+        
+        delete this.lists[listId];
+        this.showUndo({ type: 'list', listId, entry: list }, `Deleted list "${list.name}"`);
+        this.updateView();
+        this.applyBreathingBackgrounds();
+        await this.saveToStorage();
+    }
+    
+    showUndo(deleted, text) {
+        this.clearUndo();
+        this.lastDeleted = {
+            ...deleted,
+            timeout: setTimeout(() => this.clearUndo(), UNDO_DURATION)
+        };
+        
+        const toast = this.container.querySelector('.todo-undo');
+        toast.querySelector('.todo-undo-text').textContent = text;
+        toast.style.display = 'flex';
+    }
+    
+    clearUndo() {
+        if (this.lastDeleted) {
+            clearTimeout(this.lastDeleted.timeout);
+            this.lastDeleted = null;
+        }
+        const toast = this.container.querySelector('.todo-undo');
+        if (toast) toast.style.display = 'none';
+    }
+    
+    // Put the deleted entry back - its order field returns it to its old place
+    async undoDelete() {
+        const deleted = this.lastDeleted;
+        if (!deleted) return;
+        this.clearUndo();
+        
+        if (deleted.type === 'list') {
+            this.lists[deleted.listId] = deleted.entry;
+        } else {
+            const list = this.lists[deleted.listId];
+            const found = deleted.parentId ? this.findItem(deleted.parentId) : null;
+            const items = found ? found.item && found.item.subtasks : list && list.items;
+            if (!items) return;
+            items.push(deleted.entry);
+            items.sort((a, b) => a.order - b.order);
+            if (found) {
+                this.syncParents([...found.parents, found.item]);
+            }
+        }
+        
+        this.updateView();
+        this.applyBreathingBackgrounds();
+        await this.saveToStorage();
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+    
+    saveToStorage() {
+        return storage.set(TODOS_KEY, this.lists);
+    }
+    
+    // The open smart view and its filter, restored the next time the tool loads
+    saveFilter() {
+        return storage.set(FILTER_KEY, {
+            view: this.currentView === 'smart' ? this.activeSmartView : null,
+            ...this.filter
+        });
+    }
+    
+    async loadFilter() {
+        const saved = await storage.get(FILTER_KEY, {});
+        this.filter = {
+            query: typeof saved.query === 'string' ? saved.query : '',
+            tag: typeof saved.tag === 'string' ? saved.tag : '',
+            priority: PRIORITIES[saved.priority] ? saved.priority : ''
+        };
+        if (SMART_VIEWS[saved.view]) {
+            this.currentView = 'smart';
+            this.activeSmartView = saved.view;
+        }
+    }
+    
+    async loadFromStorage() {
+        this.lists = await storage.get(TODOS_KEY, {});
+        this.normalizeOrder();
+    }
+    
+    // Cleanup method for when tool is unloaded
+    async destroy() {
+        this.clearUndo();
+        clearInterval(this.refreshIntervalId);
+        await this.saveToStorage(); // Save before destroying
+        this.container.innerHTML = '';
+    }
+}
\ No newline at end of file
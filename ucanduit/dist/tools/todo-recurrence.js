@@ -0,0 +1,160 @@
+/**
+ * Todo Recurrence - ES6 Module
+ * Repeat rules for todo items. A recurring item keeps its rule in
+ * item.recurrence and moves its due date forward each time it is completed
+ * instead of staying done; every completion is kept in item.history so the
+ * item can show a streak of on-time completions.
+ *
+ * Rules:
+ *   { type: 'daily' }
+ *   { type: 'weekdays' }                      Monday to Friday
+ *   { type: 'weekly', days: [1, 4] }          0 = Sunday ... 6 = Saturday
+ *   { type: 'monthly', day: 15 }              clamped to short months
+ *   { type: 'afterCompletion', interval: 3 }  N days after the last completion
+ */
+
+import { localDateKey, getDueStatus } from './todo-reminders.js';
+
+const HISTORY_LIMIT = 365; // Completions kept per item
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const RECURRENCE_TYPES = {
+    daily: 'Daily',
+    weekdays: 'Weekdays',
+    weekly: 'Weekly on...',
+    monthly: 'Monthly on day...',
+    afterCompletion: 'Every N days after done'
+};
+
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function addDays(key, days) {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return localDateKey(date);
+}
+
+// A valid rule or null
+export function normalizeRecurrence(rule) {
+    if (!rule || !RECURRENCE_TYPES[rule.type]) return null;
+
+    if (rule.type === 'weekly') {
+        const days = [...new Set((rule.days || []).map(Number).filter(day => day >= 0 && day <= 6))].sort();
+        return days.length > 0 ? { type: 'weekly', days } : null;
+    }
+    if (rule.type === 'monthly') {
+        const day = parseInt(rule.day);
+        return day >= 1 && day <= 31 ? { type: 'monthly', day } : null;
+    }
+    if (rule.type === 'afterCompletion') {
+        const interval = parseInt(rule.interval);
+        return interval >= 1 ? { type: 'afterCompletion', interval } : null;
+    }
+    return { type: rule.type };
+}
+
+// Whether a calendar-based rule falls on the day
+function occursOn(rule, key) {
+    const date = parseDateKey(key);
+    switch (rule.type) {
+        case 'daily':
+            return true;
+        case 'weekdays':
+            return date.getDay() >= 1 && date.getDay() <= 5;
+        case 'weekly':
+            return rule.days.includes(date.getDay());
+        case 'monthly': {
+            const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            return date.getDate() === Math.min(rule.day, lastDay);
+        }
+        default:
+            return false;
+    }
+}
+
+// The first day after 'after' the rule falls on
+export function nextOccurrence(rule, after) {
+    if (rule.type === 'afterCompletion') {
+        return addDays(after, rule.interval);
+    }
+
+    let key = addDays(after, 1);
+    // A monthly rule can be up to a month away
+    for (let i = 0; i < 62 && !occursOn(rule, key); i++) {
+        key = addDays(key, 1);
+    }
+    return key;
+}
+
+// The due date when a rule is first set - today if the rule falls on it
+export function firstOccurrence(rule, today = localDateKey()) {
+    if (rule.type === 'afterCompletion' || occursOn(rule, today)) return today;
+    return nextOccurrence(rule, today);
+}
+
+/**
+ * Record a completion and move the item to its next occurrence. A late
+ * completion skips the missed occurrences; an early one moves past the
+ * current due date.
+ * @returns {string} the new due date
+ */
+export function completeOccurrence(item, now = Date.now()) {
+    const today = localDateKey(new Date(now));
+    item.history = [...(item.history || []), { due: item.due || null, completedAt: now }].slice(-HISTORY_LIMIT);
+
+    const from = item.recurrence.type === 'afterCompletion' || !item.due || item.due < today ? today : item.due;
+    item.due = nextOccurrence(item.recurrence, from);
+    item.remindedAt = null;
+    return item.due;
+}
+
+// Whether the latest completion was today - the item shows as checked until the day is over
+export function completedToday(item, now = Date.now()) {
+    const history = item.history || [];
+    if (history.length === 0) return false;
+    return localDateKey(new Date(history[history.length - 1].completedAt)) === localDateKey(new Date(now));
+}
+
+/**
+ * Take back the latest completion (an accidental check): drop it from the
+ * history and make the item due again on the date it was for.
+ * @returns {string|null} the restored due date
+ */
+export function undoOccurrence(item) {
+    const history = item.history || [];
+    if (history.length === 0) return item.due || null;
+
+    item.due = history[history.length - 1].due;
+    item.history = history.slice(0, -1);
+    item.remindedAt = null;
+    return item.due;
+}
+
+// Completions in a row that were on time - a missed current occurrence breaks it
+export function recurrenceStreak(item, now = Date.now()) {
+    if (getDueStatus(item, now) === 'overdue') return 0;
+
+    let streak = 0;
+    for (const entry of [...(item.history || [])].reverse()) {
+        if (entry.due && localDateKey(new Date(entry.completedAt)) > entry.due) break;
+        streak++;
+    }
+    return streak;
+}
+
+// 'Weekly on Mon, Thu' / 'Every 3 days after done'
+export function describeRecurrence(rule) {
+    switch (rule.type) {
+        case 'weekly':
+            return `Weekly on ${rule.days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+        case 'monthly':
+            return `Monthly on day ${rule.day}`;
+        case 'afterCompletion':
+            return rule.interval === 1 ? 'Every day after done' : `Every ${rule.interval} days after done`;
+        default:
+            return RECURRENCE_TYPES[rule.type];
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Todo Reminders - ES6 Module
+ * Due dates for todo items and the reminder service behind them. An item can
+ * carry a due day ('YYYY-MM-DD'), an optional time ('HH:MM') and a reminder
+ * some minutes before it. The service runs from app startup - the todo tool is
+ * only loaded while its section is open - and watches the saved lists through
+ * the storage service, so reminders fire and the status ticker can count
+ * overdue items either way.
+ */
+
+import { storage } from './storage.js';
+import { notificationService } from './notifications.js';
+
+const TODOS_KEY = 'todos';
+const CHECK_INTERVAL = 30 * 1000;
+const DATE_ONLY_REMINDER_TIME = '09:00'; // Items due on a day (no time) remind from this time
+
+// Minutes before the due time; null is no reminder
+export const REMINDER_OPTIONS = [
+    { minutes: null, label: 'No reminder' },
+    { minutes: 0, label: 'At due time' },
+    { minutes: 5, label: '5 min before' },
+    { minutes: 15, label: '15 min before' },
+    { minutes: 30, label: '30 min before' },
+    { minutes: 60, label: '1 hour before' },
+    { minutes: 1440, label: '1 day before' }
+];
+
+// 'YYYY-MM-DD' in local time
+export function localDateKey(date = new Date()) {
+    const pad = value => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function atTime(day, time) {
+    const [year, month, date] = day.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, date, hours, minutes).getTime();
+}
+
+// When the item becomes overdue - its time, or the end of its day when it has none
+export function dueAt(item) {
+    if (!item.due) return null;
+    if (item.dueTime) return atTime(item.due, item.dueTime);
+
+    const endOfDay = new Date(atTime(item.due, '00:00'));
+    endOfDay.setDate(endOfDay.getDate() + 1);
+    return endOfDay.getTime();
+}
+
+export function reminderAt(item) {
+    if (!item.due || item.reminder === null || item.reminder === undefined) return null;
+    return atTime(item.due, item.dueTime || DATE_ONLY_REMINDER_TIME) - item.reminder * 60 * 1000;
+}
+
+/**
+ * @returns {'overdue'|'today'|'upcoming'|null} null for completed items and items without a due date
+ */
+export function getDueStatus(item, now = Date.now()) {
+    if (!item.due || item.completed) return null;
+    if (now >= dueAt(item)) return 'overdue';
+    return item.due === localDateKey(new Date(now)) ? 'today' : 'upcoming';
+}
+
+// 'Today 14:30', 'Tomorrow', 'Mar 3'
+export function formatDue(item, now = Date.now()) {
+    if (!item.due) return '';
+
+    const today = new Date(now);
+    const offset = days => {
+        const date = new Date(today);
+        date.setDate(date.getDate() + days);
+        return localDateKey(date);
+    };
+
+    let day;
+    if (item.due === offset(0)) day = 'Today';
+    else if (item.due === offset(1)) day = 'Tomorrow';
+    else if (item.due === offset(-1)) day = 'Yesterday';
+    else day = new Date(atTime(item.due, '00:00')).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    return item.dueTime ? `${day} ${item.dueTime}` : day;
+}
+
+// Items with all their subtasks, depth first
+export function flattenItems(items) {
+    return items.flatMap(item => [item, ...flattenItems(item.subtasks || [])]);
+}
+
+export function summarizeDue(lists, now = Date.now()) {
+    const items = Object.values(lists || {}).flatMap(list => flattenItems(list.items));
+    const statuses = items.map(item => getDueStatus(item, now));
+    return {
+        pending: items.filter(item => !item.completed).length,
+        completed: items.filter(item => item.completed).length,
+        overdue: statuses.filter(status => status === 'overdue').length,
+        dueToday: statuses.filter(status => status === 'today').length
+    };
+}
+
+class TodoReminderService {
+    constructor() {
+        this.lists = {};
+        this.intervalId = null;
+    }
+
+    async start() {
+        if (this.intervalId) return;
+
+        this.lists = await storage.get(TODOS_KEY, {});
+        storage.subscribe(TODOS_KEY, (lists) => {
+            this.lists = lists;
+            this.check();
+        });
+
+        this.check();
+        this.intervalId = setInterval(() => this.check(), CHECK_INTERVAL);
+        console.log('⏰ Todo reminders started');
+    }
+
+    summary() {
+        return summarizeDue(this.lists);
+    }
+
+    // Remind about every open item whose reminder time has passed, once per item
+    check(now = Date.now()) {
+        const due = Object.values(this.lists || {}).flatMap(list => flattenItems(list.items)
+            .filter(item => !item.completed && !item.remindedAt && reminderAt(item) !== null && reminderAt(item) <= now)
+            .map(item => ({ list, item })));
+        if (due.length === 0) return;
+
+        due.forEach(({ list, item }) => {
+            item.remindedAt = now;
+            this.remind(list, item, now);
+        });
+        storage.set(TODOS_KEY, this.lists);
+    }
+
+    remind(list, item, now) {
+        const overdue = getDueStatus(item, now) === 'overdue';
+        console.log(`⏰ Todo reminder: ${item.text}`);
+
+        if (window.updateStatus) {
+            window.updateStatus(`⏰ ${item.text}`, overdue ? 'danger' : 'warning', 4000);
+        }
+        notificationService.notify({
+            title: `⏰ ${item.text}`,
+            body: `${list.name} · due ${formatDue(item, now)}${overdue ? ' (overdue)' : ''}`
+        });
+    }
+}
+
+// Shared instance - started from index.html, also read by the status ticker
+export const todoReminders = new TodoReminderService();
+window.todoReminders = todoReminders;
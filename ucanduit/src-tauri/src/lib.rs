@@ -1,5 +1,7 @@
-use std::path::Path;
+use std::path::{Path, PathBuf};
 use std::fs;
+use std::io::Write;
+use std::sync::atomic::{AtomicU64, Ordering};
 use serde::{Deserialize, Serialize};
 use serde_json::{Value as JsonValue};
 
@@ -155,9 +157,9 @@ async fn get_supported_audio_formats() -> Vec<String> {
     SUPPORTED_AUDIO_EXTENSIONS.iter().map(|&s| s.to_string()).collect()
 }
 
-#[tauri::command]
-async fn write_json_file(filename: String, data: JsonValue) -> Result<(), String> {
-    let app_dir = match std::env::var("APPDATA") {
+// %APPDATA%/ucanduit on Windows, ~/.ucanduit elsewhere, ./data as a last resort
+fn app_data_dir() -> PathBuf {
+    match std::env::var("APPDATA") {
         Ok(appdata) => Path::new(&appdata).join("ucanduit"),
         Err(_) => {
             match std::env::var("HOME") {
@@ -167,7 +169,37 @@ async fn write_json_file(filename: String, data: JsonValue) -> Result<(), String
                 }
             }
         }
-    };
+    }
+}
+
+// Writes to a temporary file next to the target, then renames it into place, so a
+// crash or an overlapping save can never leave a half-written file behind
+fn write_file_atomically(file_path: &Path, contents: &[u8]) -> std::io::Result<()> {
+    static TEMP_COUNTER: AtomicU64 = AtomicU64::new(0);
+    
+    let file_name = file_path.file_name().and_then(|name| name.to_str()).unwrap_or("data");
+    let temp_path = file_path.with_file_name(format!(
+        ".{}.{}.tmp",
+        file_name,
+        TEMP_COUNTER.fetch_add(1, Ordering::Relaxed)
+    ));
+    
+    let result = fs::File::create(&temp_path)
+        .and_then(|mut file| {
+            file.write_all(contents)?;
+            file.sync_all()
+        })
+        .and_then(|_| fs::rename(&temp_path, file_path));
+    
+    if result.is_err() {
+        let _ = fs::remove_file(&temp_path);
+    }
+    result
+}
+
+#[tauri::command]
+async fn write_json_file(filename: String, data: JsonValue) -> Result<(), String> {
+    let app_dir = app_data_dir();
     
     if let Err(e) = fs::create_dir_all(&app_dir) {
         return Err(format!("Failed to create app directory: {}", e));
@@ -177,7 +209,7 @@ async fn write_json_file(filename: String, data: JsonValue) -> Result<(), String
     
     match serde_json::to_string_pretty(&data) {
         Ok(json_string) => {
-            match fs::write(&file_path, json_string) {
+            match write_file_atomically(&file_path, json_string.as_bytes()) {
                 Ok(_) => Ok(()),
                 Err(e) => Err(format!("Failed to write file: {}", e))
             }
@@ -188,17 +220,7 @@ async fn write_json_file(filename: String, data: JsonValue) -> Result<(), String
 
 #[tauri::command]
 async fn read_json_file(filename: String) -> Result<JsonValue, String> {
-    let app_dir = match std::env::var("APPDATA") {
-        Ok(appdata) => Path::new(&appdata).join("ucanduit"),
-        Err(_) => {
-            match std::env::var("HOME") {
-                Ok(home) => Path::new(&home).join(".ucanduit"),
-                Err(_) => {
-                    std::env::current_dir().unwrap().join("data")
-                }
-            }
-        }
-    };
+    let app_dir = app_data_dir();
     
     let file_path = app_dir.join(&filename);
     
@@ -217,16 +239,39 @@ async fn read_json_file(filename: String) -> Result<JsonValue, String> {
     }
 }
 
+// Writes user exports (CSV, JSON) into the exports folder and returns the full path
+#[tauri::command]
+async fn write_text_file(filename: String, contents: String) -> Result<String, String> {
+    if filename.contains('/') || filename.contains('\\') || filename.contains("..") {
+        return Err(format!("Invalid export filename: {}", filename));
+    }
+    
+    let export_dir = app_data_dir().join("exports");
+    
+    if let Err(e) = fs::create_dir_all(&export_dir) {
+        return Err(format!("Failed to create exports directory: {}", e));
+    }
+    
+    let file_path = export_dir.join(&filename);
+    
+    match fs::write(&file_path, contents) {
+        Ok(_) => Ok(file_path.to_string_lossy().to_string()),
+        Err(e) => Err(format!("Failed to write file: {}", e))
+    }
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
   tauri::Builder::default()
     .plugin(tauri_plugin_fs::init())
+    .plugin(tauri_plugin_notification::init())
     .invoke_handler(tauri::generate_handler![
       scan_audio_directory,
       scan_audio_directories,
       get_supported_audio_formats,
       write_json_file,
-      read_json_file
+      read_json_file,
+      write_text_file
     ])
     .setup(|app| {
       if cfg!(debug_assertions) {
@@ -0,0 +1,144 @@
+import './browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+await import('../dist/tools/analytics.js');
+const { UsageAnalytics } = window;
+
+// toDateString() of the day `offset` days from today
+function dayKey(offset) {
+    const date = new Date();
+    date.setHours(12, 0, 0, 0);
+    date.setDate(date.getDate() + offset);
+    return date.toDateString();
+}
+
+function isoDaysAgo(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return date.toISOString();
+}
+
+test('migrate upgrades unversioned data through v1-v3', () => {
+    const analytics = new UsageAnalytics();
+    const day = new Date(isoDaysAgo(2)).toDateString();
+    const data = analytics.migrate({
+        dailyStats: { [day]: { timers: 2 } },
+        streak: 12,
+        achievements: { firstTimer: true, productive25: true, nightOwl: true, earlyBird: false, retired: true }
+    });
+
+    assert.equal(data.schemaVersion, 3);
+    // v1 starts the untracked focus counters at 0
+    assert.deepEqual(data.dailyStats[day], { timers: 2, focusMinutes: 0, timersCompleted: 0 });
+    // v2 drops the app-open streak
+    assert.equal(data.streak, 0);
+    // v3 turns booleans into tiered levels without unlock times
+    assert.deepEqual(data.achievements, {
+        focusSessions: { level: 1, count: 0, unlockedAt: [null] },
+        deepFocus: { level: 2, count: 0, unlockedAt: [null, null] },
+        nightOwl: { level: 1, count: 1, unlockedAt: [null] }
+    });
+    assert.deepEqual(data.customAchievements, []);
+});
+
+test('migrate only runs the steps newer than the data', () => {
+    const analytics = new UsageAnalytics();
+    const data = analytics.migrate({ schemaVersion: 2, dailyStats: {}, streak: 4, achievements: {} });
+    assert.equal(data.schemaVersion, 3);
+    assert.equal(data.streak, 4);
+});
+
+test('trackSessionAbandoned and trackDurationChange keep the minutes they are given', () => {
+    const analytics = new UsageAnalytics();
+    analytics.trackSessionAbandoned(7);
+    analytics.trackSessionAbandoned(3, 'shortBreak'); // Breaks aren't focus sessions
+    analytics.trackDurationChange(25, 50);
+    analytics.trackDurationChange(50, 45);
+
+    const today = analytics.data.dailyStats[dayKey(0)];
+    assert.equal(today.abandoned, 1);
+    assert.equal(today.abandonedMinutes, 7);
+    assert.equal(today.durationChanges, 2);
+    assert.equal(today.durationChangedFromMinutes, 75);
+    assert.equal(today.durationChangedToMinutes, 95);
+    assert.equal(analytics.data.timerSessions.abandonedMinutes, 7);
+    assert.equal(analytics.data.timerSessions.durationChangedToMinutes, 95);
+});
+
+test('compactSessionLog folds old sessions into per-day totals', () => {
+    const analytics = new UsageAnalytics();
+    const oldDay = new Date(isoDaysAgo(100)).toDateString();
+    analytics.data.sessionLog = [
+        { id: 'a', startedAt: isoDaysAgo(100), status: 'completed', plannedMinutes: 25, actualMinutes: 25, interruptions: 1 },
+        { id: 'b', startedAt: isoDaysAgo(100), status: 'abandoned', plannedMinutes: 25, actualMinutes: 5, pausedMinutes: 2 },
+        { id: 'c', startedAt: isoDaysAgo(1), status: 'completed', plannedMinutes: 25, actualMinutes: 25 }
+    ];
+
+    analytics.compactSessionLog();
+
+    assert.deepEqual(analytics.data.sessionLog.map(session => session.id), ['c']);
+    assert.deepEqual(analytics.data.sessionArchive[oldDay], {
+        sessions: 2, completed: 1, abandoned: 1,
+        plannedMinutes: 50, actualMinutes: 30, pausedMinutes: 2, interruptions: 1
+    });
+});
+
+test('compactSessionLog keeps at most sessionLogMaxEntries records', () => {
+    const analytics = new UsageAnalytics();
+    analytics.sessionLogMaxEntries = 2;
+    analytics.data.sessionLog = ['a', 'b', 'c'].map(id => ({ id, startedAt: isoDaysAgo(1), status: 'completed' }));
+
+    analytics.compactSessionLog();
+
+    assert.deepEqual(analytics.data.sessionLog.map(session => session.id), ['b', 'c']);
+    assert.equal(analytics.data.sessionArchive[dayKey(-1)].sessions, 1);
+});
+
+test('evaluateFinishedDays earns a freeze for seven days in a row and spends it on a missed day', () => {
+    const analytics = new UsageAnalytics();
+    const { data } = analytics;
+    for (let offset = -9; offset <= -3; offset++) {
+        data.dailyStats[dayKey(offset)] = { focusMinutes: 60 };
+    }
+    data.dailyStats[dayKey(-1)] = { focusMinutes: 60 }; // dayKey(-2) is missed
+    data.streakState.lastEvaluatedDay = dayKey(-10);
+
+    analytics.evaluateFinishedDays();
+
+    assert.equal(data.streakState.freezesEarned, 1);
+    assert.equal(data.streakState.freezes, 0);
+    assert.deepEqual(data.streakState.frozenDays, [dayKey(-2)]);
+    assert.equal(data.streakState.lastEvaluatedDay, dayKey(-1));
+    // The frozen day bridges the run without counting towards it
+    assert.equal(analytics.refreshStreak(), 8);
+});
+
+test('evaluateFinishedDays lets a missed day end the streak without a freeze', () => {
+    const analytics = new UsageAnalytics();
+    const { data } = analytics;
+    data.dailyStats[dayKey(-3)] = { focusMinutes: 60 };
+    data.dailyStats[dayKey(-1)] = { focusMinutes: 60 };
+    data.streakState.lastEvaluatedDay = dayKey(-4);
+
+    analytics.evaluateFinishedDays();
+
+    assert.equal(data.streakState.freezes, 0);
+    assert.deepEqual(data.streakState.frozenDays, []);
+    assert.equal(analytics.refreshStreak(), 1);
+});
+
+test('importData sums the other device once, however often its export is imported', () => {
+    const analytics = new UsageAnalytics();
+    analytics.data.timerSessions.completed = 3;
+    const other = new UsageAnalytics();
+    other.data.timerSessions.completed = 2;
+    other.data.sessionLog = [{ id: 'x', startedAt: isoDaysAgo(1), status: 'completed' }];
+    const exported = JSON.parse(JSON.stringify(other.exportData()));
+
+    analytics.importData(exported);
+    analytics.importData(exported);
+
+    assert.equal(analytics.data.timerSessions.completed, 5);
+    assert.equal(analytics.data.sessionLog.length, 1);
+});
@@ -0,0 +1,21 @@
+/**
+ * Just enough of the browser for the tool modules to load under node --test:
+ * window with event listeners, navigator, and an in-memory localStorage
+ */
+
+const events = new EventTarget();
+globalThis.window = globalThis;
+window.addEventListener = events.addEventListener.bind(events);
+window.removeEventListener = events.removeEventListener.bind(events);
+window.dispatchEvent = events.dispatchEvent.bind(events);
+if (!globalThis.navigator) {
+    globalThis.navigator = { userAgent: 'node' };
+}
+
+const entries = new Map();
+globalThis.localStorage = {
+    getItem: key => entries.has(key) ? entries.get(key) : null,
+    setItem: (key, value) => entries.set(key, String(value)),
+    removeItem: key => entries.delete(key),
+    clear: () => entries.clear()
+};
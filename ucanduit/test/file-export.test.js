@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../dist/tools/file-export.js';
+
+test('toCsv quotes cells with commas, quotes and line breaks', () => {
+    const csv = toCsv([
+        ['id', 'intent', 'note'],
+        ['a', 'Write "docs", then ship', 'line one\nline two'],
+        ['b', null, undefined]
+    ]);
+    assert.equal(csv, 'id,intent,note\na,"Write ""docs"", then ship","line one\nline two"\nb,,\n');
+});
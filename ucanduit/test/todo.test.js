@@ -0,0 +1,117 @@
+import './browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { parseQuickAdd } = await import('../dist/tools/todo-list.js');
+const { nextOccurrence, recurrenceStreak, completeOccurrence, undoOccurrence, completedToday } = await import('../dist/tools/todo-recurrence.js');
+const { getDueStatus, reminderAt, summarizeDue, formatDue } = await import('../dist/tools/todo-reminders.js');
+
+test('parseQuickAdd pulls out the priority and tags', () => {
+    assert.deepEqual(parseQuickAdd('Write report !high #Work #work #q3'), {
+        text: 'Write report', priority: 'high', tags: ['work', 'q3']
+    });
+    assert.deepEqual(parseQuickAdd('!m Call the bank'), { text: 'Call the bank', priority: 'medium', tags: [] });
+});
+
+test('parseQuickAdd leaves unknown and embedded markers in the text', () => {
+    assert.deepEqual(parseQuickAdd('Fix !soon bug in C#'), { text: 'Fix !soon bug in C#', priority: null, tags: [] });
+    assert.deepEqual(parseQuickAdd('  #only  '), { text: '#only', priority: null, tags: [] });
+});
+
+test('nextOccurrence follows calendar rules', () => {
+    assert.equal(nextOccurrence({ type: 'daily' }, '2025-12-31'), '2026-01-01');
+    assert.equal(nextOccurrence({ type: 'weekdays' }, '2025-01-10'), '2025-01-13'); // Friday -> Monday
+    assert.equal(nextOccurrence({ type: 'weekly', days: [1, 4] }, '2025-01-06'), '2025-01-09');
+    assert.equal(nextOccurrence({ type: 'afterCompletion', interval: 3 }, '2025-01-30'), '2025-02-02');
+});
+
+test('nextOccurrence clamps monthly days to short months', () => {
+    const rule = { type: 'monthly', day: 31 };
+    assert.equal(nextOccurrence(rule, '2025-01-31'), '2025-02-28');
+    assert.equal(nextOccurrence(rule, '2025-02-28'), '2025-03-31');
+    assert.equal(nextOccurrence(rule, '2024-01-31'), '2024-02-29');
+    assert.equal(nextOccurrence({ type: 'monthly', day: 15 }, '2025-01-15'), '2025-02-15');
+});
+
+test('recurrenceStreak counts on-time completions back to the first late one', () => {
+    const at = (day, hour = 12) => new Date(2025, 0, day, hour).getTime();
+    const item = {
+        due: '2025-01-05',
+        recurrence: { type: 'daily' },
+        history: [
+            { due: '2025-01-01', completedAt: at(1) },
+            { due: '2025-01-02', completedAt: at(3) }, // late
+            { due: '2025-01-03', completedAt: at(3) },
+            { due: '2025-01-04', completedAt: at(4) }
+        ]
+    };
+
+    assert.equal(recurrenceStreak(item, at(4, 18)), 2);
+    // Letting the current occurrence slip breaks the streak
+    assert.equal(recurrenceStreak(item, at(6)), 0);
+});
+
+test('undoOccurrence takes back an accidental completion', () => {
+    const now = new Date(2025, 0, 10, 12).getTime();
+    const item = { due: '2025-01-10', recurrence: { type: 'daily' }, history: [{ due: '2025-01-09', completedAt: now - 86400000 }] };
+
+    completeOccurrence(item, now);
+    assert.equal(item.due, '2025-01-11');
+    assert.equal(completedToday(item, now), true);
+
+    assert.equal(undoOccurrence(item), '2025-01-10');
+    assert.deepEqual(item.history, [{ due: '2025-01-09', completedAt: now - 86400000 }]);
+    assert.equal(completedToday(item, now), false);
+});
+
+test('getDueStatus keeps a date-only item due today until midnight', () => {
+    const item = { due: '2025-01-10' };
+
+    assert.equal(getDueStatus(item, new Date(2025, 0, 9, 23, 59).getTime()), 'upcoming');
+    assert.equal(getDueStatus(item, new Date(2025, 0, 10, 0, 0).getTime()), 'today');
+    assert.equal(getDueStatus(item, new Date(2025, 0, 10, 23, 59).getTime()), 'today');
+    assert.equal(getDueStatus(item, new Date(2025, 0, 11, 0, 0).getTime()), 'overdue');
+});
+
+test('getDueStatus makes a timed item overdue from its time', () => {
+    const item = { due: '2025-01-10', dueTime: '14:30' };
+
+    assert.equal(getDueStatus(item, new Date(2025, 0, 10, 14, 29).getTime()), 'today');
+    assert.equal(getDueStatus(item, new Date(2025, 0, 10, 14, 30).getTime()), 'overdue');
+    assert.equal(getDueStatus({ ...item, completed: true }, new Date(2025, 0, 11).getTime()), null);
+    assert.equal(getDueStatus({ text: 'No date' }), null);
+});
+
+test('reminderAt counts the offset back from the due time', () => {
+    assert.equal(reminderAt({ due: '2025-01-10', dueTime: '14:30', reminder: 15 }), new Date(2025, 0, 10, 14, 15).getTime());
+    assert.equal(reminderAt({ due: '2025-01-10', dueTime: '14:30', reminder: 0 }), new Date(2025, 0, 10, 14, 30).getTime());
+    // Date-only items remind from 09:00 on the day
+    assert.equal(reminderAt({ due: '2025-01-10', reminder: 0 }), new Date(2025, 0, 10, 9, 0).getTime());
+    assert.equal(reminderAt({ due: '2025-01-10', reminder: 1440 }), new Date(2025, 0, 9, 9, 0).getTime());
+    assert.equal(reminderAt({ due: '2025-01-10', reminder: null }), null);
+    assert.equal(reminderAt({ reminder: 15 }), null);
+});
+
+test('formatDue names nearby days and adds the time', () => {
+    const now = new Date(2025, 0, 10, 12).getTime();
+
+    assert.equal(formatDue({ due: '2025-01-10', dueTime: '14:30' }, now), 'Today 14:30');
+    assert.equal(formatDue({ due: '2025-01-11' }, now), 'Tomorrow');
+    assert.equal(formatDue({ due: '2025-01-09' }, now), 'Yesterday');
+    assert.equal(formatDue({ text: 'No date' }, now), '');
+});
+
+test('summarizeDue counts overdue and due-today items across lists and subtasks', () => {
+    const now = new Date(2025, 0, 10, 12).getTime();
+    const lists = {
+        work: {
+            items: [
+                { due: '2025-01-09' },
+                { due: '2025-01-10', subtasks: [{ due: '2025-01-10', dueTime: '09:00' }, { due: '2025-01-12' }] }
+            ]
+        },
+        home: { items: [{ due: '2025-01-01', completed: true }, { text: 'No date' }] }
+    };
+
+    assert.deepEqual(summarizeDue(lists, now), { pending: 5, completed: 1, overdue: 2, dueToday: 1 });
+});